@@ -83,6 +83,7 @@ export function parse(template: string, options: CompilerOptions): ASTElement |
   const preserveWhitespace = options.preserveWhitespace !== false;
   const whitespaceOption = options.whitespace;
   let root;
+  const roots = [];
   let currentParent;
   let inVPre = false;
   let inPre = false;
@@ -96,6 +97,19 @@ export function parse(template: string, options: CompilerOptions): ASTElement |
     }
   }
 
+  /* => 根元素约束（多个根元素会被渲染为片段，无需警告） */
+  function checkRootConstraints(el) {
+    if (el.tag === 'slot' || el.tag === 'template') {
+      /* => 不能使用 el.tag 作为组件根元素，因为它可能包含多个节点。 */
+      warnOnce(`Cannot use <${el.tag}> as component root element because it may contain multiple nodes.`, { start: el.start });
+    }
+
+    if (el.attrsMap.hasOwnProperty('v-for')) {
+      /* => 不能在有状态组件根元素上使用 v-for，因为它渲染多个元素。 */
+      warnOnce('Cannot use v-for on stateful component root element because it renders multiple elements.', el.rawAttrsMap['v-for']);
+    }
+  }
+
   /* => 关闭元素 */
   function closeElement(element) {
     // => 去除空白
@@ -106,22 +120,13 @@ export function parse(template: string, options: CompilerOptions): ASTElement |
 
     // => DOM 树管理
     if (!stack.length && element !== root) {
-      // => 允许根元素使用 v-if 、 v-else-if 和 v-else
-      if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element);
-        }
-
-        //  => 添加 if 条件
-        addIfCondition(root, { exp: element.elseif, block: element });
-      } else if (process.env.NODE_ENV !== 'production') {
-        // => 组件模板应仅包含一个根元素。如果对多个元素使用 v-if ，请改为使用 v-else-if 进行链接
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-            `If you are using v-if on multiple elements, ` +
-            `use v-else-if to chain them instead.`,
-          { start: element.start },
-        );
+      // => 允许根元素使用 v-if 、 v-else-if 和 v-else（与前一个根元素链接）
+      if (element.elseif || element.else) {
+        if (process.env.NODE_ENV !== 'production') checkRootConstraints(element);
+        processIfConditions(element, { children: roots });
+      } else if (!element.forbidden) {
+        // => 多个根元素（片段）
+        roots.push(element);
       }
     }
 
@@ -167,19 +172,6 @@ export function parse(template: string, options: CompilerOptions): ASTElement |
     }
   }
 
-  /* => 检查根约束 */
-  function checkRootConstraints(el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
-      /* => 不能使用 el.tag 作为组件根元素，因为它可能包含多个节点。 */
-      warnOnce(`Cannot use <${el.tag}> as component root element because it may contain multiple nodes.`, { start: el.start });
-    }
-
-    if (el.attrsMap.hasOwnProperty('v-for')) {
-      /* => 不能在有状态组件根元素上使用 v-for，因为它渲染多个元素。 */
-      warnOnce('Cannot use v-for on stateful component root element because it renders multiple elements.', el.rawAttrsMap['v-for']);
-    }
-  }
-
   /* => 解析 HTML */
   parseHTML(template, {
     warn,
@@ -269,6 +261,7 @@ export function parse(template: string, options: CompilerOptions): ASTElement |
       // => 在第一次触发 start 钩子函数时，root 不存在，当前元素即为根元素
       if (!root) {
         root = element;
+        roots.push(root);
         if (process.env.NODE_ENV !== 'production') checkRootConstraints(root);
       }
 
@@ -378,8 +371,18 @@ export function parse(template: string, options: CompilerOptions): ASTElement |
     },
   });
 
-  // => 返回 AST （使用普通对象描述 DOM 节点）
-  return root;
+  // => 返回 AST （使用普通对象描述 DOM 节点），多个根元素时返回片段
+  return roots.length > 1 ? createFragmentRoot(roots) : root;
+}
+
+/* => 创建片段根节点：用 template 包裹所有根元素，代码生成时渲染为数组，运行时创建片段节点 */
+function createFragmentRoot(roots: Array<ASTElement>): ASTElement {
+  const fragment = createASTElement('template', [], undefined);
+  fragment.fragment = true;
+  fragment.children = roots;
+  for (let i = 0; i < roots.length; i++) roots[i].parent = fragment;
+
+  return fragment;
 }
 
 function processPre(el) {
@@ -1,3 +1,5 @@
 import KeepAlive from './keep-alive';
+import Teleport from './teleport';
+import Suspense from './suspense';
 
-export default { KeepAlive };
+export default { KeepAlive, Teleport, Suspense };
@@ -0,0 +1,122 @@
+import { warn } from 'core/util/index';
+
+/**
+ * => keep-alive 缓存淘汰策略
+ * => 每个 keep-alive 实例持有一份私有的 state ，策略只负责维护 state 并在超出容量时选出待淘汰的 key ，
+ * => 真正的删除（销毁实例、移出 keys / cache）由 keep-alive 完成。
+ */
+export type StrategyContext = {
+  keys: Array<string>, // => 按访问先后排序（由旧到新）
+  cache: { [key: string]: ?VNode },
+  max: number, // => 容量，0 表示不限制
+  state: Object,
+  current: string, // => 本次渲染的 key ，不可被淘汰
+};
+
+export type KeepAliveStrategy = {
+  hit?: (key: string, vnode: VNode, context: StrategyContext) => void,
+  add?: (key: string, vnode: VNode, context: StrategyContext) => void,
+  remove?: (key: string, context: StrategyContext) => void,
+  prune: (context: StrategyContext) => ?string, // => 超出容量时返回待淘汰的 key
+};
+
+/* => 最久未使用的条目（跳过当前条目） */
+function oldestKey(context: StrategyContext): ?string {
+  const { keys, current } = context;
+  for (let i = 0; i < keys.length; i++) if (keys[i] !== current) return keys[i];
+}
+
+/* => LRU 最近最久未使用 | keys 本身已按访问顺序排列 */
+const lru: KeepAliveStrategy = {
+  prune(context) {
+    if (context.max && context.keys.length > context.max) return oldestKey(context);
+  },
+};
+
+/* => LFU 最不经常使用 | 访问次数相同时淘汰最久未使用的 */
+const lfu: KeepAliveStrategy = {
+  add(key, vnode, { state }) {
+    (state.counts || (state.counts = Object.create(null)))[key] = 1;
+  },
+
+  hit(key, vnode, { state }) {
+    const counts = state.counts || (state.counts = Object.create(null));
+    counts[key] = (counts[key] || 0) + 1;
+  },
+
+  remove(key, { state }) {
+    if (state.counts) delete state.counts[key];
+  },
+
+  prune(context) {
+    const { keys, max, state, current } = context;
+    if (!max || keys.length <= max) return;
+
+    const counts = state.counts || {};
+    let victim, min;
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      if (key === current) continue;
+
+      const count = counts[key] || 0;
+      if (min === undefined || count < min) {
+        min = count;
+        victim = key;
+      }
+    }
+    return victim;
+  },
+};
+
+/* => 获取组件声明的缓存权重 | 组件选项 keepAliveWeight: number | (vnode) => number ，默认为 1 */
+function getWeight(vnode: VNode): number {
+  const componentOptions = vnode.componentOptions;
+  const weight = componentOptions && componentOptions.Ctor.options.keepAliveWeight;
+  const value = typeof weight === 'function' ? weight(vnode) : weight;
+
+  return typeof value === 'number' && value >= 0 ? value : 1;
+}
+
+/* => 按权重计算容量 | max 表示所有条目权重之和的上限，超出时按 LRU 顺序淘汰 */
+const weighted: KeepAliveStrategy = {
+  add(key, vnode, { state }) {
+    const weights = state.weights || (state.weights = Object.create(null));
+    state.total = (state.total || 0) + (weights[key] = getWeight(vnode));
+  },
+
+  remove(key, { state }) {
+    if (state.weights && state.weights[key] != null) {
+      state.total -= state.weights[key];
+      delete state.weights[key];
+    }
+  },
+
+  prune(context) {
+    const { max, state } = context;
+    if (max && state.total > max) return oldestKey(context);
+  },
+};
+
+export const builtInStrategies: { [name: string]: KeepAliveStrategy } = { lru, lfu, weighted };
+
+/* => 解析 strategy 属性，字符串取内置策略，对象视为用户自定义策略，默认 LRU */
+export function resolveStrategy(strategy: ?(string | KeepAliveStrategy)): KeepAliveStrategy {
+  if (!strategy) return lru;
+
+  if (typeof strategy === 'string') {
+    if (builtInStrategies[strategy]) return builtInStrategies[strategy];
+
+    process.env.NODE_ENV !== 'production' &&
+      warn(`Unknown keep-alive strategy "${strategy}", falling back to "lru". Available: ${Object.keys(builtInStrategies).join(', ')}.`, null, 'VUE_KEEP_ALIVE_INVALID_STRATEGY', {
+        strategy,
+      });
+    return lru;
+  }
+
+  if (typeof strategy.prune !== 'function') {
+    process.env.NODE_ENV !== 'production' && warn('A custom keep-alive strategy must provide a "prune" method, falling back to "lru".', null, 'VUE_KEEP_ALIVE_INVALID_STRATEGY');
+    return lru;
+  }
+
+  return strategy;
+}
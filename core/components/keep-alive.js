@@ -1,5 +1,7 @@
 import { isRegExp, remove } from 'shared/util';
 import { getFirstComponentChild } from 'core/vdom/helpers/index';
+import { resolveStrategy } from './keep-alive-strategy';
+import type { StrategyContext } from './keep-alive-strategy';
 
 type VNodeCache = { [key: string]: ?VNode };
 
@@ -25,7 +27,7 @@ function matches(pattern: string | RegExp | Array<string>, name: string): boolea
 
 /* => 维持（修正）缓存 */
 function pruneCache(keepAliveInstance: any, filter: Function) {
-  const { cache, keys, _vnode } = keepAliveInstance;
+  const { cache } = keepAliveInstance;
   for (const key in cache) {
     // => 取出缓存中的 VNode
     const cachedNode: ?VNode = cache[key];
@@ -33,7 +35,7 @@ function pruneCache(keepAliveInstance: any, filter: Function) {
       const name: ?string = getComponentName(cachedNode.componentOptions);
 
       // => 若 name 不符合 filter 条件
-      if (name && !filter(name)) pruneCacheEntry(cache, key, keys, _vnode);
+      if (name && !filter(name)) evictCacheEntry(keepAliveInstance, key, 'filter');
     }
   }
 }
@@ -52,24 +54,111 @@ function pruneCacheEntry(cache: VNodeCache, key: string, keys: Array<string>, cu
   remove(keys, key);
 }
 
+/* => 淘汰缓存条目并通知外部 | reason：max / ttl / filter / manual */
+function evictCacheEntry(keepAliveInstance: any, key: string, reason: string) {
+  const { cache, keys, timestamps, _vnode } = keepAliveInstance;
+  if (!cache[key]) return;
+
+  pruneCacheEntry(cache, key, keys, _vnode);
+  delete timestamps[key];
+
+  const strategy = keepAliveInstance._strategy;
+  if (strategy.remove) strategy.remove(key, getStrategyContext(keepAliveInstance));
+
+  keepAliveInstance.$emit('cache-evict', key, reason);
+}
+
+/* => 构造传递给淘汰策略的上下文 */
+function getStrategyContext(keepAliveInstance: any, current?: string): StrategyContext {
+  const { keys, cache, max, _strategyState } = keepAliveInstance;
+  return { keys, cache, max: parseInt(max) || 0, state: _strategyState, current: current || '' };
+}
+
+/* => 按策略淘汰条目，直至不再超出容量 */
+function pruneByStrategy(keepAliveInstance: any, current: string) {
+  const { cache, _strategy } = keepAliveInstance;
+
+  let victim = _strategy.prune(getStrategyContext(keepAliveInstance, current));
+  while (victim != null && victim !== current && cache[victim]) {
+    evictCacheEntry(keepAliveInstance, victim, 'max');
+    victim = _strategy.prune(getStrategyContext(keepAliveInstance, current));
+  }
+}
+
+/* => 切换策略时，按访问顺序将现有条目重新登记到新策略 */
+function setupStrategy(keepAliveInstance: any, strategy: any) {
+  keepAliveInstance._strategy = resolveStrategy(strategy);
+  keepAliveInstance._strategyState = Object.create(null);
+
+  const { keys, cache, _strategy } = keepAliveInstance;
+  if (_strategy.add) {
+    for (let i = 0; i < keys.length; i++) _strategy.add(keys[i], cache[keys[i]], getStrategyContext(keepAliveInstance));
+  }
+}
+
+/* => 切换策略后，按新策略淘汰超出容量的条目（保留当前显示的条目） */
+function switchStrategy(keepAliveInstance: any, strategy: any) {
+  setupStrategy(keepAliveInstance, strategy);
+
+  const { keys, cache } = keepAliveInstance;
+  let current = '';
+  for (let i = 0; i < keys.length; i++) {
+    if (cache[keys[i]] && isShowing(keepAliveInstance, cache[keys[i]])) current = keys[i];
+  }
+
+  pruneByStrategy(keepAliveInstance, current);
+}
+
+/* => 条目是否已过期（未设置 ttl 时永不过期） */
+function isExpired(keepAliveInstance: any, key: string): boolean {
+  const ttl = parseInt(keepAliveInstance.ttl);
+  if (!ttl || ttl < 0) return false;
+
+  const timestamp = keepAliveInstance.timestamps[key];
+  return timestamp != null && Date.now() - timestamp >= ttl;
+}
+
+/* => 缓存的 VNode 是否为当前正在显示的实例 */
+function isShowing(keepAliveInstance: any, cachedNode: VNode): boolean {
+  const current: ?VNode = keepAliveInstance._vnode;
+  return !!current && !!current.componentInstance && current.componentInstance === cachedNode.componentInstance;
+}
+
+/* => 清除所有过期条目（当前渲染的条目除外，它会在本次命中时处理） */
+function pruneExpiredEntries(keepAliveInstance: any, exclude: ?string) {
+  const keys = keepAliveInstance.keys.slice();
+  for (let i = 0; i < keys.length; i++) {
+    if (keys[i] !== exclude && isExpired(keepAliveInstance, keys[i])) evictCacheEntry(keepAliveInstance, keys[i], 'ttl');
+  }
+}
+
 // 接受一个数组，可支持 String 、RegExp、Array 类型
 const patternTypes: Array<Function> = [String, RegExp, Array];
 
-/* => LRU 最近最久未使用算法 */
+/* => 默认为 LRU 最近最久未使用算法，可通过 strategy 切换为 lfu / weighted 或自定义策略 */
 export default {
   name: 'keep-alive',
   abstract: true, // => 抽象组件
 
   props: {
     max: [String, Number],
+    strategy: [String, Object], // => 淘汰策略：lru（默认）/ lfu / weighted / 自定义策略对象
+    ttl: [String, Number], // => 条目存活时间（毫秒），自缓存时开始计时
     include: patternTypes,
     exclude: patternTypes,
+    cacheKey: Function, // => 自定义缓存 key 的计算方式：(vnode) => key
   },
 
   created() {
     // => 实例创建时 | 创建缓存对象与键集合数组
     this.keys = [];
     this.cache = Object.create(null);
+
+    // => 条目写入缓存的时间戳（用于 ttl）
+    this.timestamps = Object.create(null);
+
+    // => 淘汰策略及其私有状态
+    setupStrategy(this, this.strategy);
   },
 
   destroyed() {
@@ -81,6 +170,25 @@ export default {
     // => 实例挂载时 |
     this.$watch('include', (val) => pruneCache(this, (name) => matches(val, name)));
     this.$watch('exclude', (val) => pruneCache(this, (name) => !matches(val, name)));
+    this.$watch('strategy', (val) => switchStrategy(this, val));
+  },
+
+  methods: {
+    /* => 手动淘汰指定 key 的缓存条目 */
+    $evict(key: string) {
+      evictCacheEntry(this, key, 'manual');
+    },
+
+    /* => 手动淘汰所有缓存条目 */
+    $evictAll() {
+      const keys = this.keys.slice();
+      for (let i = 0; i < keys.length; i++) evictCacheEntry(this, keys[i], 'manual');
+    },
+
+    /* => 获取当前缓存的 key 列表（由旧到新） */
+    $cacheKeys(): Array<string> {
+      return this.keys.slice();
+    },
   },
 
   render() {
@@ -100,16 +208,23 @@ export default {
       // => 匹配组件名是否包含在 props 的 include 与 exclude 内，来决定要不要缓存
       if ((include && (!name || !matches(include, name))) || (exclude && name && matches(exclude, name))) return vnode;
 
-      const { cache, keys } = this;
+      const { cache, keys, timestamps } = this;
 
-      // => 若组件的 key 未定义，则使用组件的 cid 与标签名拼接一个
-      const key: ?string =
-        vnode.key == null
+      // => 优先使用自定义的 cacheKey ，否则若组件的 key 未定义，则使用组件的 cid 与标签名拼接一个
+      const key: ?string = this.cacheKey
+        ? this.cacheKey(vnode)
+        : vnode.key == null
           ? // => 相同的构造函数可能被注册为不同的本地组件，因此仅使用 cid 是不够的
           componentOptions.Ctor.cid + (componentOptions.tag ? `::${ componentOptions.tag }` : '')
           : vnode.key;
 
-      // => LRU 缓存策略
+      // => 清理其他已过期的条目；当前条目若已过期，则淘汰后按未命中处理（重新创建实例）
+      // => 正在显示的实例重新渲染时不算重新进入，不做 ttl 淘汰
+      pruneExpiredEntries(this, key);
+      if (cache[key] && !isShowing(this, cache[key]) && isExpired(this, key)) evictCacheEntry(this, key, 'ttl');
+
+      const strategy = this._strategy;
+
       if (cache[key]) {
 
         // => 用于调研销毁组件 hook
@@ -118,13 +233,18 @@ export default {
         // => 使当前 key 为最新（放到最后）
         remove(keys, key);
         keys.push(key);
+        if (strategy.hit) strategy.hit(key, vnode, getStrategyContext(this, key));
+
+        this.$emit('cache-hit', key, vnode);
       } else {
         // => 缓存 VNode 与 key
         cache[key] = vnode;
         keys.push(key);
+        timestamps[key] = Date.now();
+        if (strategy.add) strategy.add(key, vnode, getStrategyContext(this, key));
 
-        // => 删除最老的条目
-        if (this.max && keys.length > parseInt(this.max)) pruneCacheEntry(cache, keys[0], keys, this._vnode);
+        // => 超出容量时，由策略选出待淘汰的条目
+        pruneByStrategy(this, key);
       }
 
       // => 标识为缓存组件
@@ -0,0 +1,109 @@
+import { isDef } from 'shared/util';
+import { isServerRendering } from 'core/util/env';
+import { createFragmentVNode, createTeleportVNode } from 'core/vdom/vnode';
+import { isPendingDep } from 'core/vdom/helpers/suspense';
+
+/* => 显示后备内容 */
+function showFallback(suspense: any) {
+  suspense._timer = null;
+  if (suspense.status === 'fallback') return;
+  suspense.status = 'fallback';
+  suspense.$emit('fallback');
+}
+
+/**
+ * => 检查等待中的依赖，切换边界状态
+ * 首次挂载：有依赖时立即显示后备内容；
+ * 已决议后再次进入等待：当前内容保持显示，设置了 timeout 时在超时后切换为后备内容
+ */
+function checkDeps(suspense: any) {
+  const deps = (suspense._deps = suspense._deps.filter(isPendingDep));
+
+  if (!deps.length) {
+    clearTimer(suspense);
+    if (suspense._pending || suspense.status !== 'resolved') {
+      suspense._pending = false;
+      suspense.status = 'resolved';
+      suspense.$emit('resolve');
+    }
+    return;
+  }
+
+  if (suspense._pending) return;
+  suspense._pending = true;
+  suspense.$emit('pending');
+
+  if (suspense.status !== 'resolved') {
+    showFallback(suspense);
+  } else if (isDef(suspense.timeout)) {
+    suspense._timer = setTimeout(() => showFallback(suspense), Number(suspense.timeout));
+  }
+}
+
+function clearTimer(suspense: any) {
+  if (suspense._timer !== null) {
+    clearTimeout(suspense._timer);
+    suspense._timer = null;
+  }
+}
+
+/**
+ * => 异步边界组件：<suspense :timeout="200" @resolve="..."> <template #fallback>...</template> </suspense>
+ * 默认插槽中（含嵌套的）异步组件与 asyncSetup 全部完成前，默认内容渲染在脱离文档的容器中，页面上显示 #fallback 插槽。
+ * 依赖在补丁阶段登记（见 trackSuspenseDep ），#fallback 插槽应只包含同步内容。
+ * 服务端渲染会等待所有异步内容，因此服务端与客户端混合时直接渲染默认内容
+ */
+export default {
+  name: 'suspense',
+
+  props: {
+    timeout: [String, Number], // => 已决议的边界再次进入等待时，切换为后备内容前的延时（毫秒），默认不切换
+  },
+
+  data() {
+    // => pending：首次挂载，尚未检查依赖 | fallback：显示后备内容 | resolved：显示默认内容
+    return { status: 'pending' };
+  },
+
+  beforeCreate() {
+    this._isSuspense = true;
+    this._deps = [];
+    this._pending = false;
+    this._timer = null;
+  },
+
+  mounted() {
+    // => 服务端渲染的内容已经显示，混合完成即视为决议
+    if (this._hydrating) {
+      this._hydrating = false;
+      this.status = 'resolved';
+    }
+    checkDeps(this);
+  },
+
+  updated() {
+    checkDeps(this);
+  },
+
+  destroyed() {
+    clearTimer(this);
+    this._deps.length = 0;
+  },
+
+  render() {
+    const slots = this.$scopedSlots;
+    const content = (slots.default && slots.default()) || [];
+
+    // => 混合：挂载前 $el 已指向服务端渲染的 DOM
+    if (!this._isMounted && isDef(this.$el)) this._hydrating = true;
+
+    const resolved = this.status === 'resolved' || this._hydrating || isServerRendering();
+    const fallback = this.status === 'fallback' && slots.fallback ? slots.fallback() || [] : [];
+
+    // => 默认内容始终通过传送门渲染，等待时传送到脱离文档的容器中，决议后原地显示，组件状态得以保留
+    const teleport = createTeleportVNode(content, null, resolved);
+    teleport.data.teleport.offscreen = true;
+
+    return createFragmentVNode([teleport, createFragmentVNode(fallback)]);
+  },
+};
@@ -0,0 +1,25 @@
+import { createTeleportVNode } from 'core/vdom/vnode';
+
+/* => 目标容器：选择器字符串或 DOM 元素 */
+function isValidTarget(to: any): boolean {
+  return typeof to === 'string' || (to != null && typeof to.nodeType === 'number');
+}
+
+/**
+ * => 传送门组件：<teleport to="#modals" :disabled="inline">
+ * 子节点仍然属于当前组件树（ provide / inject 、事件不受影响），但其 DOM 渲染在目标容器中。
+ * 抽象组件，不会出现在子组件的 $parent 链中
+ */
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    to: { required: true, validator: isValidTarget },
+    disabled: Boolean,
+  },
+
+  render() {
+    return createTeleportVNode(this.$slots.default || [], this.to, this.disabled);
+  },
+};
@@ -1,5 +1,8 @@
 import { no, noop, identity } from 'shared/util';
 import { LIFECYCLE_HOOKS } from 'shared/constants';
+import type { VueWarning } from './util/warnings';
+import type { FlushStats, WatcherRunRecord } from './observer/scheduler';
+import type { HydrationMismatchReport } from './vdom/helpers/hydration-mismatch';
 
 export type Config = {
   // => 用户使用
@@ -9,7 +12,13 @@ export type Config = {
   performance: boolean,
   devtools: boolean,
   errorHandler: ?(err: Error, vm: Component, info: string) => void,
-  warnHandler: ?(msg: string, vm: Component, trace: string) => void,
+  onFlush: ?(stats: FlushStats) => void,
+  onWatcherRun: ?(record: WatcherRunRecord) => void,
+  warnHandler: ?(msg: string, vm: Component, trace: string, warning: VueWarning) => void,
+  warningFilter: ?(Array<string> | ((warning: VueWarning) => boolean)),
+  hydrationMismatchHandler: ?(report: HydrationMismatchReport) => void,
+  hydrationRecovery: 'full' | 'partial',
+  hydrationCheck: ?('report' | 'patch'),
   ignoredElements: Array<string | RegExp>,
   keyCodes: { [key: string]: number | Array<number> },
 
@@ -47,9 +56,27 @@ export default ({
   // => 监视程序错误的错误处理程序
   errorHandler: null,
 
+  // => 调度程序刷新监控 | 每次刷新结束时调用，报告本次刷新的统计信息
+  onFlush: null,
+
+  // => 调度程序刷新监控 | 每个观察者运行结束时调用
+  onWatcherRun: null,
+
   // => 警告处理程序的警告
   warnHandler: null,
 
+  // => 按 code 屏蔽警告：code 数组，或返回 false 表示屏蔽的函数
+  warningFilter: null,
+
+  // => 混合不匹配处理程序 | 开发和生产环境下都会调用，接收结构化的不匹配报告
+  hydrationMismatchHandler: null,
+
+  // => 混合不匹配时的恢复方式：'full' 丢弃服务端 DOM 并完整重新渲染根节点，'partial' 仅重新创建不匹配的子树
+  hydrationRecovery: 'full',
+
+  // => 深度混合校验（可选）：按平台模块比较属性、类名和内联样式，'report' 仅上报差异，'patch' 上报并修正为客户端的结果
+  hydrationCheck: null,
+
   // => 忽略某些自定义元素
   ignoredElements: [],
 
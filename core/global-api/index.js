@@ -6,9 +6,12 @@ import { initAssetRegisters } from './assets';
 import { set, del } from '../observer/index';
 import { ASSET_TYPES } from 'shared/constants';
 import builtInComponents from '../components/index';
-import { observe } from 'core/observer/index';
+import { observe, markRaw } from 'core/observer/index';
+import { readonly } from 'core/observer/readonly';
+import { EffectScope, getCurrentScope, onScopeDispose } from 'core/observer/effect-scope';
+import { computed, watchEffect } from 'core/observer/effect';
 
-import { warn, extend, nextTick, mergeOptions, defineReactive } from '../util/index';
+import { warn, extend, nextTick, mergeOptions, defineReactive, registerWarning } from '../util/index';
 
 export function initGlobalAPI(Vue: GlobalAPI) {
   // => 配置
@@ -19,7 +22,7 @@ export function initGlobalAPI(Vue: GlobalAPI) {
 
   if (process.env.NODE_ENV !== 'production') {
     // => 不要替换 Vue.config 对象，而是设置单个字段。
-    configDef.set = () => warn('Do not replace the Vue.config object, set individual fields instead.');
+    configDef.set = () => warn('Do not replace the Vue.config object, set individual fields instead.', null, 'VUE_CONFIG_REPLACED');
   }
 
   // => 在构造函数上定义配置对象，且当用户尝试赋予新值时抛出警告
@@ -27,7 +30,7 @@ export function initGlobalAPI(Vue: GlobalAPI) {
 
   // => 公开的 util 方法。
   // => 注意：这些不被视为公共 API 的一部分。除非您意识到风险，否则请避免依赖它们。（提供给官方插件使用）
-  Vue.util = { warn, extend, mergeOptions, defineReactive };
+  Vue.util = { warn, extend, mergeOptions, defineReactive, registerWarning };
 
   // => 定义公共全局 API
   Vue.set = set;
@@ -40,6 +43,31 @@ export function initGlobalAPI(Vue: GlobalAPI) {
     return obj;
   };
 
+  // => 浅层可观测 API ，只有第一层属性是响应式的
+  Vue.shallowObservable = (obj) => {
+    const ob = observe(obj, false, true);
+    // => 已经被深度观测的对象无法再转换为浅层可观测
+    if (process.env.NODE_ENV !== 'production' && ob && !ob.shallow) {
+      warn('Vue.shallowObservable() received an object that is already deeply observed, it stays deeply reactive.', null, 'VUE_SHALLOW_ALREADY_OBSERVED');
+    }
+    return obj;
+  };
+
+  // => 标记对象永远不会被观测（大型不可变数据）
+  Vue.markRaw = markRaw;
+
+  // => 创建只读视图
+  Vue.readonly = readonly;
+
+  // => 作用域 API ，用于在组件之外收集并统一销毁 Watcher
+  Vue.effectScope = (detached?: boolean) => new EffectScope(detached);
+  Vue.getCurrentScope = getCurrentScope;
+  Vue.onScopeDispose = onScopeDispose;
+
+  // => 独立于组件实例的计算属性与副作用
+  Vue.computed = computed;
+  Vue.watchEffect = watchEffect;
+
   // => 初始化指令、过滤器、组件对象
   Vue.options = Object.create(null);
   ASSET_TYPES.forEach((type) => (Vue.options[type + 's'] = Object.create(null)));
@@ -168,6 +168,9 @@ export function eventsMixin(Vue: Class<Component>) {
             `Note that HTML attributes are case-insensitive and you cannot use ` +
             `v-on to listen to camelCase events when using in-DOM templates. ` +
             `You should probably use "${hyphenate(event)}" instead of "${event}".`,
+          vm,
+          'VUE_EVENT_CASE_MISMATCH',
+          { event },
         );
       }
     }
@@ -10,7 +10,7 @@ function Vue(options) {
   /* => 判断 Vue 实例是否是 new 出来的 */
   if (process.env.NODE_ENV !== 'production' && !(this instanceof Vue)) {
     /* => Vue是构造函数，应使用 new 关键字调用 */
-    warn('Vue is a constructor and should be called with the "new" keyword');
+    warn('Vue is a constructor and should be called with the "new" keyword', null, 'VUE_MISSING_NEW');
   }
 
   /* => 初始化 => 调用 Vue.prototype._init() 方法 */
@@ -5,6 +5,7 @@ import { initRender } from './render';
 import { initEvents } from './events';
 import { mark, measure } from '../util/perf';
 import { initLifecycle, callHook } from './lifecycle';
+import { EffectScope } from '../observer/effect-scope';
 import { initProvide, initInjections } from './inject';
 import { extend, mergeOptions, formatComponentName } from '../util/index';
 
@@ -22,6 +23,11 @@ export function initMixin(Vue: Class<Component>) {
     // => 标记该实例不需要被观测
     vm._isVue = true;
 
+    // => 实例的作用域，收集属于该实例的所有 Watcher ，实例销毁时统一停止
+    // => 分离的作用域：子组件拥有各自的作用域，不会被父组件的作用域收集
+    vm._scope = new EffectScope(true /* detached */);
+    vm._scope._vm = true;
+
     // => 合并选项
     if (options && options._isComponent) {
       /* => 优化内部组件实例化，因为动态选项合并速度很慢，而且没有一个内部组件选项需要特殊处理。 */
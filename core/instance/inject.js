@@ -26,6 +26,8 @@ export function initInjections(vm: Component) {
               `overwritten whenever the provided component re-renders. ` +
               `injection being mutated: "${key}"`,
             vm,
+            'VUE_INJECTION_MUTATED',
+            { key },
           );
         });
       } else {
@@ -77,7 +79,7 @@ export function resolveInject(inject: any, vm: Component): ?Object {
           result[key] = typeof provideDefault === 'function' ? provideDefault.call(vm) : provideDefault;
         } else if (process.env.NODE_ENV !== 'production') {
           /* => 没有找到 key 注入 */
-          warn(`Injection "${key}" not found`, vm);
+          warn(`Injection "${key}" not found`, vm, 'VUE_INJECTION_NOT_FOUND', { key });
         }
       }
     }
@@ -6,6 +6,8 @@ import { updateComponentListeners } from './events';
 import { resolveSlots } from './render-helpers/resolve-slots';
 import { toggleObserving } from '../observer/index';
 import { pushTarget, popTarget } from '../observer/dep';
+import { capLane } from '../observer/scheduler';
+import { setActiveEffectScope } from '../observer/effect-scope';
 
 import { warn, noop, remove, emptyObject, validateProp, invokeWithErrorHandling } from '../util/index';
 
@@ -112,14 +114,9 @@ export function lifecycleMixin(Vue: Class<Component>) {
     if (parent && !parent._isBeingDestroyed && !vm.$options.abstract) remove(parent.$children, vm);
 
     // => 卸载 Watcher
-    /* => 2.调用渲染 Watcher 卸载自己（从 dep 依赖列表中移除自己，之后就不会再收到状态变化通知） */
-    if (vm._watcher) vm._watcher.teardown();
-
-    /* => 卸载通过 $watch 创建的 Watcher 实例 */
-    let i = vm._watchers.length;
-    while (i--) {
-      vm._watchers[i].teardown();
-    }
+    /* => 2.停止实例的作用域：卸载渲染 Watcher 、计算属性与通过 $watch 创建的 Watcher 实例，以及在其中创建的非分离作用域 */
+    /* => （从 dep 依赖列表中移除自己，之后就不会再收到状态变化通知） */
+    vm._scope.stop();
 
     /* => 3.从冻结对象中删除引用可能没有观察者 */
     if (vm._data.__ob__) vm._data.__ob__.vmCount--;
@@ -147,6 +144,9 @@ export function lifecycleMixin(Vue: Class<Component>) {
 export function mountComponent(vm: Component, el: ?Element, hydrating?: boolean): Component {
   vm.$el = el;
 
+  /* => 混合时 asyncSetup 尚未完成：保留服务端 DOM ，由 patch 在数据就绪后重新挂载 */
+  if (hydrating && vm._asyncPending) return vm;
+
   /* => 如果最终 render 函数不存在 */
   if (!vm.$options.render) {
     /* => 则指向一个创建空节点的函数 */
@@ -163,10 +163,11 @@ export function mountComponent(vm: Component, el: ?Element, hydrating?: boolean)
           'compiler is not available. Either pre-compile the templates into ' +
           'render functions, or use the compiler-included build.',
           vm,
+          'VUE_RUNTIME_ONLY_TEMPLATE',
         );
       } else {
         /* => 未能挂载组件：未定义 template 或 render 函数 */
-        warn('Failed to mount component: template or render function not defined.', vm);
+        warn('Failed to mount component: template or render function not defined.', vm, 'VUE_MOUNT_NO_RENDER');
       }
     }
   }
@@ -183,19 +184,31 @@ export function mountComponent(vm: Component, el: ?Element, hydrating?: boolean)
    * => 这依赖于已经定义的 vm._watcher
    */
 
+  /**
+   * => 组件的更新优先级：优先使用 priority 选项，否则继承父组件的优先级
+   * priority 选项不能高于父组件的优先级，保证同一子树内父组件先于子组件更新（子组件不会使用父组件尚未重新计算的 props 更新）
+   */
+  const parentWatcher = vm.$parent && vm.$parent._watcher;
+  const priority = capLane(vm.$options.priority, parentWatcher ? parentWatcher.priority : undefined);
+
   /* => 创建一个渲染相关的 Watcher，当状态发生改变时，触发 updateComponent 函数，再调用 VNode 进行比对，然后更新视图 */
   /* => @params：实例（组件）、表达式（函数）、回调函数（这里是空函数 no operation）、配置项、是否为渲染Watcher */
-  new Watcher(
-    vm,
-    updateComponent,
-    noop,
-    {
-      before() {
-        if (vm._isMounted && !vm._isDestroyed) callHook(vm, 'beforeUpdate');
-      },
+  const watcherOptions: Object = {
+    priority,
+    before() {
+      if (vm._isMounted && !vm._isDestroyed) callHook(vm, 'beforeUpdate');
     },
-    true /* isRenderWatcher => 标识为渲染 Watcher （ true ） */,
-  );
+  };
+
+  /* => 依赖调试钩子（仅开发环境）：渲染时收集到依赖、依赖变化触发重新渲染 */
+  if (process.env.NODE_ENV !== 'production') {
+    if (vm.$options.renderTracked) watcherOptions.onTrack = (e) => callHook(vm, 'renderTracked', [e]);
+    if (vm.$options.renderTriggered) watcherOptions.onTrigger = (e) => callHook(vm, 'renderTriggered', [e]);
+  }
+
+  const restoreScope = setActiveEffectScope(vm._scope);
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher => 标识为渲染 Watcher （ true ） */);
+  restoreScope();
 
   hydrating = false;
 
@@ -327,17 +340,19 @@ export function deactivateChildComponent(vm: Component, direct?: boolean) {
   }
 }
 
-export function callHook(vm: Component, hook: string) {
-  // => 调用生命周期钩子时禁用 dep 集合
+export function callHook(vm: Component, hook: string, args?: Array<any>) {
+  // => 调用生命周期钩子时禁用 dep 集合，并激活实例的作用域（钩子中创建的 Watcher 与作用域归属于该实例）
   pushTarget();
+  const restoreScope = setActiveEffectScope(vm._scope);
   const handlers = vm.$options[hook];
   const info = `${ hook } hook`;
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info);
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info);
     }
   }
   if (vm._hasHookEvent) vm.$emit('hook:' + hook);
 
+  restoreScope();
   popTarget();
 }
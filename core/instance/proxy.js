@@ -20,6 +20,8 @@ if (process.env.NODE_ENV !== 'production') {
       'initializing the property. ' +
       'See: https://vuejs.org/v2/guide/reactivity.html#Declaring-Reactive-Properties.',
       target,
+      'VUE_PROPERTY_NOT_DEFINED',
+      { key },
     );
   };
 
@@ -30,6 +32,8 @@ if (process.env.NODE_ENV !== 'production') {
       'prevent conflicts with Vue internals. ' +
       'See: https://vuejs.org/v2/api/#data',
       target,
+      'VUE_RESERVED_PROPERTY_ACCESS',
+      { key },
     );
   };
 
@@ -40,7 +44,7 @@ if (process.env.NODE_ENV !== 'production') {
     config.keyCodes = new Proxy(config.keyCodes, {
       set(target, key, value) {
         if (isBuiltInModifier(key)) {
-          warn(`Avoid overwriting built-in modifier in config.keyCodes: .${ key }`);
+          warn(`Avoid overwriting built-in modifier in config.keyCodes: .${ key }`, null, 'VUE_KEYCODE_OVERWRITE', { key });
           return false;
         } else {
           target[key] = value;
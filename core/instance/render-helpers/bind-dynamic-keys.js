@@ -18,7 +18,9 @@ export function bindDynamicKeys(baseObj: Object, values: Array<any>): Object {
       baseObj[values[i]] = values[i + 1];
     } else if (process.env.NODE_ENV !== 'production' && key !== '' && key !== null) {
       // null is a special value for explicitly removing a binding
-      warn(`Invalid value for dynamic directive argument (expected string or null): ${key}`, this);
+      warn(`Invalid value for dynamic directive argument (expected string or null): ${key}`, this, 'VUE_INVALID_BINDING', {
+        directive: 'dynamic argument',
+      });
     }
   }
   return baseObj;
@@ -5,7 +5,7 @@ import { warn, extend, isPlainObject } from 'core/util/index';
 export function bindObjectListeners(data: any, value: any): VNodeData {
   if (value) {
     if (!isPlainObject(value)) {
-      process.env.NODE_ENV !== 'production' && warn('v-on without argument expects an Object value', this);
+      process.env.NODE_ENV !== 'production' && warn('v-on without argument expects an Object value', this, 'VUE_INVALID_BINDING', { directive: 'v-on' });
     } else {
       const on = (data.on = data.on ? extend({}, data.on) : {});
       for (const key in value) {
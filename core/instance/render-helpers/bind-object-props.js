@@ -10,7 +10,7 @@ import { warn, isObject, toObject, isReservedAttribute, camelize, hyphenate } fr
 export function bindObjectProps(data: any, tag: string, value: any, asProp: boolean, isSync?: boolean): VNodeData {
   if (value) {
     if (!isObject(value)) {
-      process.env.NODE_ENV !== 'production' && warn('v-bind without argument expects an Object or Array value', this);
+      process.env.NODE_ENV !== 'production' && warn('v-bind without argument expects an Object or Array value', this, 'VUE_INVALID_BINDING', { directive: 'v-bind' });
     } else {
       if (Array.isArray(value)) {
         value = toObject(value);
@@ -13,7 +13,7 @@ export function renderSlot(name: string, fallback: ?Array<VNode>, props: ?Object
     props = props || {};
     if (bindObject) {
       if (process.env.NODE_ENV !== 'production' && !isObject(bindObject)) {
-        warn('slot v-bind without argument expects an Object', this);
+        warn('slot v-bind without argument expects an Object', this, 'VUE_INVALID_BINDING', { directive: 'slot v-bind' });
       }
       props = extend(extend({}, bindObject), props);
     }
@@ -1,10 +1,11 @@
-import { warn, nextTick, emptyObject, handleError, defineReactive } from '../util/index';
+import { warn, isDef, hasOwn, nextTick, emptyObject, handleError, defineReactive } from '../util/index';
 
 import { createElement } from '../vdom/create-element';
 import { installRenderHelpers } from './render-helpers/index';
 import { resolveSlots } from './render-helpers/resolve-slots';
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots';
-import VNode, { createEmptyVNode } from '../vdom/vnode';
+import { normalizeChildren } from '../vdom/helpers/normalize-children';
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode';
 
 import { isUpdatingChildComponent } from './lifecycle';
 
@@ -75,7 +76,8 @@ export function renderMixin(Vue: Class<Component>) {
       currentRenderingInstance = vm;
 
       /* => _renderProxy 在开发环境下为当前 vm 实例，$createElement 为用户指定的 render 函数的处理函数，最终返回一个 VNode */
-      vnode = render.call(vm._renderProxy, vm.$createElement);
+      // => asyncSetup 尚未完成时渲染空节点，完成后强制重新渲染
+      vnode = vm._asyncPending ? createEmptyVNode() : render.call(vm._renderProxy, vm.$createElement);
     } catch (e) {
       handleError(e, vm, `render`);
 
@@ -94,20 +96,16 @@ export function renderMixin(Vue: Class<Component>) {
       currentRenderingInstance = null;
     }
 
-    // => 如果返回的数组只包含一个节点（ template 只有一个根节点），则允许它
-    if (Array.isArray(vnode) && vnode.length === 1) vnode = vnode[0];
+    // => 返回数组：只包含一个节点时直接使用该节点，多个节点时创建片段节点（多根组件）
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || [];
+      vnode = children.length > 1 ? createFragmentVNode(children) : children[0];
 
+      if (process.env.NODE_ENV !== 'production' && vnode && vnode.isFragment && !vm._vnode) checkFragmentFallthrough(vm, vnode);
+    }
 
     // => 如果 render 函数出错，返回空vnode
-    if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        /* => 从 render 函数返回多个根节点。Render函数应该返回一个根节点。 */
-        /* => 所以在 template 模板中只能指定一个根节点 */
-        warn(`Multiple root nodes returned from render function. Render function should return a single root node.`, vm);
-      }
-
-      vnode = createEmptyVNode();
-    }
+    if (!(vnode instanceof VNode)) vnode = createEmptyVNode();
 
     // => 设置父级
     vnode.parent = _parentVnode;
@@ -116,3 +114,34 @@ export function renderMixin(Vue: Class<Component>) {
     return vnode;
   };
 }
+
+/**
+ * => 多根组件的属性继承规则
+ * 片段没有唯一的根元素，占位节点上的 attrs 、 class 、 style 和 .native 监听器都不会自动继承。
+ * attrs 需要通过 v-bind="$attrs" 显式绑定到某个根节点（或设置 inheritAttrs: false ），否则在首次渲染时给出警告
+ */
+function checkFragmentFallthrough(vm: Component, fragment: VNode) {
+  const data = vm.$vnode && vm.$vnode.data;
+  if (!data) return;
+
+  const extraneous = [];
+  const attrs = Object.keys(vm.$attrs);
+  if (attrs.length && vm.$options.inheritAttrs !== false) {
+    const bound = (fragment.children || []).some((c) => c.data && c.data.attrs && attrs.every((key) => hasOwn(c.data.attrs, key)));
+    if (!bound) extraneous.push.apply(extraneous, attrs);
+  }
+  if (isDef(data.staticClass) || isDef(data.class)) extraneous.push('class');
+  if (isDef(data.staticStyle) || isDef(data.style)) extraneous.push('style');
+  if (data.on) extraneous.push.apply(extraneous, Object.keys(data.on).map((name) => `@${name}.native`));
+
+  if (extraneous.length) {
+    warn(
+      `Extraneous non-prop attributes (${extraneous.join(', ')}) were passed to component but could not be ` +
+      `automatically inherited because component renders multiple root nodes. ` +
+      `Bind them explicitly to one of the roots, e.g. v-bind="$attrs".`,
+      vm,
+      'VUE_FRAGMENT_FALLTHROUGH',
+      { attrs: extraneous },
+    );
+  }
+}
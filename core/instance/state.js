@@ -1,6 +1,8 @@
 import config from '../config';
 import Watcher from '../observer/watcher';
 import Dep, { pushTarget, popTarget } from '../observer/dep';
+import { setActiveEffectScope } from '../observer/effect-scope';
+import { trackSuspenseDep } from '../vdom/helpers/suspense';
 import { isUpdatingChildComponent } from './lifecycle';
 
 import { set, del, observe, defineReactive, toggleObserving } from '../observer/index';
@@ -13,11 +15,13 @@ import {
   hyphenate,
   isReserved,
   handleError,
+  isPromise,
   nativeWatch,
   validateProp,
   isPlainObject,
   isServerRendering,
   isReservedAttribute,
+  invokeWithErrorHandling,
 } from '../util/index';
 
 const sharedPropertyDefinition = { enumerable: true, configurable: true, get: noop, set: noop };
@@ -35,8 +39,8 @@ export function proxy(target: Object, sourceKey: string, key: string) {
 
 /* => 状态（数据）初始化 */
 export function initState(vm: Component) {
-  /* => 存放当前组件中所有的 Watcher （ $watch / watch ） */
-  vm._watchers = [];
+  /* => 在实例的作用域内创建 computed / watch 的 Watcher */
+  const restoreScope = setActiveEffectScope(vm._scope);
 
   const opts = vm.$options;
   if (opts.props) initProps(vm, opts.props);
@@ -49,6 +53,9 @@ export function initState(vm: Component) {
   }
   if (opts.computed) initComputed(vm, opts.computed);
   if (opts.watch && opts.watch !== nativeWatch) initWatch(vm, opts.watch);
+  if (opts.asyncSetup) initAsyncSetup(vm, opts.asyncSetup);
+
+  restoreScope();
 }
 
 /* => 初始化 options props */
@@ -76,7 +83,9 @@ function initProps(vm: Component, propsOptions: Object) {
 
       if (isReservedAttribute(hyphenatedKey) || config.isReservedAttr(hyphenatedKey)) {
         /* => XXX 是一个保留属性，不能用作组件 prop。 */
-        warn(`"${ hyphenatedKey }" is a reserved attribute and cannot be used as component prop.`, vm);
+        warn(`"${ hyphenatedKey }" is a reserved attribute and cannot be used as component prop.`, vm, 'VUE_PROP_RESERVED', {
+          prop: hyphenatedKey,
+        });
       }
 
       defineReactive(props, key, value, () => {
@@ -89,6 +98,8 @@ function initProps(vm: Component, propsOptions: Object) {
             `Instead, use a data or computed property based on the prop's ` +
             `value. Prop being mutated: "${ key }"`,
             vm,
+            'VUE_PROP_MUTATED',
+            { prop: key },
           );
         }
       });
@@ -123,7 +134,7 @@ function initData(vm: Component) {
     /* => 如果不是普通对象，将data赋值为一个空对象，且在开发环境下报警告 => 数据函数应该返回一个对象 */
     data = {};
     process.env.NODE_ENV !== 'production' &&
-    warn('data functions should return an object:\n https://vuejs.org/v2/guide/components.html#data-Must-Be-a-Function', vm);
+    warn('data functions should return an object:\n https://vuejs.org/v2/guide/components.html#data-Must-Be-a-Function', vm, 'VUE_DATA_NOT_OBJECT');
   }
 
   // proxy data on instance => 在实例上代理 data ，可通过 this.xxx 访问 data 中的属性
@@ -136,13 +147,16 @@ function initData(vm: Component) {
     if (process.env.NODE_ENV !== 'production') {
       if (methods && hasOwn(methods, key)) {
         /* => 方法 key 已定义为 data 属性。 */
-        warn(`Method "${ key }" has already been defined as a data property.`, vm);
+        warn(`Method "${ key }" has already been defined as a data property.`, vm, 'VUE_STATE_KEY_CONFLICT', { key, kinds: ['method', 'data'] });
       }
     }
     if (props && hasOwn(props, key)) {
       /* => 数据属性 key 已声明为 prop 。改为使用 prop 默认值。 */
       process.env.NODE_ENV !== 'production' &&
-      warn(`The data property "${ key }" is already declared as a prop. Use prop default value instead.`, vm);
+      warn(`The data property "${ key }" is already declared as a prop. Use prop default value instead.`, vm, 'VUE_STATE_KEY_CONFLICT', {
+        key,
+        kinds: ['data', 'prop'],
+      });
     } else if (!isReserved(key)) {
       /* => 将不是以 $ _ 开头的属性代理到实例 vm 上 */
       proxy(vm, `_data`, key);
@@ -153,6 +167,47 @@ function initData(vm: Component) {
   observe(data, true /* asRootData => 是否为根数据（true） */);
 }
 
+/**
+ * => 初始化 options asyncSetup（异步的数据钩子）
+ * 返回 Promise 时组件进入等待状态：渲染空节点，并登记到所在的 suspense 边界。
+ * 决议的对象合并到 data 中（新属性定义为响应式并代理到实例上），随后重新渲染组件、通知 suspense 边界
+ */
+function initAsyncSetup(vm: Component, asyncSetup: Function) {
+  const res = invokeWithErrorHandling(asyncSetup, vm, [vm], vm, `asyncSetup()`);
+  if (!isPromise(res)) {
+    if (isPlainObject(res)) mergeAsyncData(vm, res);
+    return;
+  }
+
+  vm._asyncPending = true;
+  const boundary = trackSuspenseDep(vm.$parent, vm);
+  const settle = (data) => {
+    vm._asyncPending = false;
+    if (vm._isDestroyed) return;
+    if (isPlainObject(data)) mergeAsyncData(vm, data);
+    vm.$forceUpdate();
+    if (boundary) boundary.$forceUpdate();
+  };
+  // => 失败时错误已经由 invokeWithErrorHandling 处理，组件以已有的数据渲染
+  vm._asyncSetup = res.then(settle, () => settle());
+}
+
+/* => 合并 asyncSetup 决议的数据 */
+function mergeAsyncData(vm: Component, data: Object) {
+  const props = vm.$options.props;
+  for (const key in data) {
+    if (props && hasOwn(props, key)) {
+      process.env.NODE_ENV !== 'production' &&
+      warn(`The asyncSetup property "${ key }" is already declared as a prop.`, vm, 'VUE_STATE_KEY_CONFLICT', { key, kinds: ['asyncSetup', 'prop'] });
+    } else if (hasOwn(vm._data, key)) {
+      vm._data[key] = data[key];
+    } else {
+      defineReactive(vm._data, key, data[key]);
+      if (!isReserved(key) && !(key in vm)) proxy(vm, `_data`, key);
+    }
+  }
+}
+
 /* => 获取数据 */
 export function getData(data: Function, vm: Component): any {
   // #7573 disable dep collection when invoking data getters => 调用数据获取程序时禁用 dep 收集
@@ -187,7 +242,7 @@ function initComputed(vm: Component, computed: Object) {
     const getter = typeof userDef === 'function' ? userDef : userDef.get;
     if (process.env.NODE_ENV !== 'production' && getter == null) {
       /* => 计算属性 key 缺少 Getter 。 */
-      warn(`Getter is missing for computed property "${ key }".`, vm);
+      warn(`Getter is missing for computed property "${ key }".`, vm, 'VUE_COMPUTED_GETTER_MISSING', { key });
     }
 
     if (!isSSR) {
@@ -204,10 +259,10 @@ function initComputed(vm: Component, computed: Object) {
     } else if (process.env.NODE_ENV !== 'production') {
       if (key in vm.$data) {
         /* => 已经在数据中定义了计算属性 key。 */
-        warn(`The computed property "${ key }" is already defined in data.`, vm);
+        warn(`The computed property "${ key }" is already defined in data.`, vm, 'VUE_STATE_KEY_CONFLICT', { key, kinds: ['computed', 'data'] });
       } else if (vm.$options.props && key in vm.$options.props) {
         /* => 计算属性 key 已经被定义为一个 prop。 */
-        warn(`The computed property "${ key }" is already defined as a prop.`, vm);
+        warn(`The computed property "${ key }" is already defined as a prop.`, vm, 'VUE_STATE_KEY_CONFLICT', { key, kinds: ['computed', 'prop'] });
       }
     }
   }
@@ -236,7 +291,7 @@ export function defineComputed(target: any, key: string, userDef: Object | Funct
   if (process.env.NODE_ENV !== 'production' && sharedPropertyDefinition.set === noop) {
     sharedPropertyDefinition.set = function() {
       /* => 计算属性 key 被赋值，但它没有 setter。 */
-      warn(`Computed property "${ key }" was assigned to but it has no setter.`, this);
+      warn(`Computed property "${ key }" was assigned to but it has no setter.`, this, 'VUE_COMPUTED_NO_SETTER', { key });
     };
   }
 
@@ -282,15 +337,19 @@ function initMethods(vm: Component, methods: Object) {
         warn(
           `Method "${ key }" has type "${ typeof methods[key] }" in the component definition. Did you reference the function correctly?`,
           vm,
+          'VUE_METHOD_NOT_FUNCTION',
+          { key, type: typeof methods[key] },
         );
       }
       if (props && hasOwn(props, key)) {
         /* => 方法 key 已经被定义为一个 prop 。 */
-        warn(`Method "${ key }" has already been defined as a prop.`, vm);
+        warn(`Method "${ key }" has already been defined as a prop.`, vm, 'VUE_STATE_KEY_CONFLICT', { key, kinds: ['method', 'prop'] });
       }
       if (key in vm && isReserved(key)) {
         /* => 方法 key 与现有的 Vue 实例方法冲突。避免定义以 _ 或 $ 开头的组件方法。 */
-        warn(`Method "${ key }" conflicts with an existing Vue instance method. Avoid defining component methods that start with _ or $.`);
+        warn(`Method "${ key }" conflicts with an existing Vue instance method. Avoid defining component methods that start with _ or $.`, vm, 'VUE_METHOD_RESERVED', {
+          key,
+        });
       }
     }
 
@@ -345,11 +404,11 @@ export function stateMixin(Vue: Class<Component>) {
   if (process.env.NODE_ENV !== 'production') {
     dataDef.set = function() {
       /* => 避免替换实例根 $data。请改用嵌套数据属性。 */
-      warn('Avoid replacing instance root $data. Use nested data properties instead.', this);
+      warn('Avoid replacing instance root $data. Use nested data properties instead.', this, 'VUE_DATA_REPLACED');
     };
     propsDef.set = function() {
       /* => $props 是只读的 */
-      warn(`$props is readonly.`, this);
+      warn(`$props is readonly.`, this, 'VUE_PROPS_READONLY');
     };
   }
 
@@ -357,6 +416,13 @@ export function stateMixin(Vue: Class<Component>) {
   Object.defineProperty(Vue.prototype, '$data', dataDef);
   Object.defineProperty(Vue.prototype, '$props', propsDef);
 
+  /* => 兼容：插件与 devtools 读取的 _watchers ，即实例作用域收集的 Watcher */
+  Object.defineProperty(Vue.prototype, '_watchers', {
+    get() {
+      return this._scope.effects;
+    },
+  });
+
   /* => 挂载 $set / $delete 方法 */
   Vue.prototype.$set = set;
   Vue.prototype.$delete = del;
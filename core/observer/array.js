@@ -37,7 +37,7 @@ methodsToPatch.forEach(function (method) {
     if (inserted) ob.observeArray(inserted);
 
     // => 通知更改
-    ob.dep.notify();
+    ob.dep.notify(ob.dep.shouldTrackTrigger() ? { target: this, key: method, type: 'array-mutation', args } : undefined);
 
     /* => 返回结果 */
     return result;
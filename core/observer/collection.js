@@ -0,0 +1,106 @@
+import { def, toRawType } from '../util/index';
+import Dep from './dep';
+
+/* => Map / Set 的拦截器，与数组拦截器类似：读取方法收集依赖，变异方法通知更新 */
+
+/* => 是否为可观测的集合（WeakMap / WeakSet 不可遍历，不做处理） */
+export function isCollection(value: any): boolean {
+  const type = toRawType(value);
+  return type === 'Map' || type === 'Set';
+}
+
+/* => 读取方法，需要收集依赖 */
+const readMethods = ['get', 'has', 'forEach', 'keys', 'values', 'entries'];
+if (typeof Symbol !== 'undefined' && Symbol.iterator) readMethods.push(Symbol.iterator);
+
+/* => 值是否发生变化（NaN 视为相等） */
+function hasChanged(value: any, oldValue: any): boolean {
+  return value !== oldValue && (value === value || oldValue === oldValue);
+}
+
+/* => 通知集合的依赖更新 */
+function notify(collection: any, key: any, type: string, newValue?: any, oldValue?: any) {
+  const dep = collection.__ob__.dep;
+  dep.notify(dep.shouldTrackTrigger() ? { target: collection, key, type, newValue, oldValue } : undefined);
+}
+
+/* => 创建一个新对象，将 Map / Set 的原型作为其原型，并拦截其方法 */
+function createCollectionMethods(proto: Object, isMap: boolean): Object {
+  const methods = Object.create(proto);
+  const sizeGetter = (Object.getOwnPropertyDescriptor(proto, 'size'): any).get;
+
+  /* => 拦截读取方法 | 集合整体作为一个依赖（与数组一致），任何变化都会通知读取过它的观察者 */
+  readMethods.forEach((method) => {
+    const original = proto[method];
+    if (typeof original !== 'function') return;
+
+    def(methods, method, function reader(...args) {
+      if (Dep.target) this.__ob__.dep.depend();
+
+      return original.apply(this, args);
+    });
+  });
+
+  /* => size 为原型上的 getter */
+  Object.defineProperty(methods, 'size', {
+    enumerable: false,
+    configurable: true,
+    get: function size() {
+      if (Dep.target) this.__ob__.dep.depend();
+      return sizeGetter.call(this);
+    },
+  });
+
+  /* => 拦截变异方法 */
+  if (isMap) {
+    def(methods, 'set', function set(key, value) {
+      const had = proto.has.call(this, key);
+      const oldValue = proto.get.call(this, key);
+      proto.set.call(this, key, value);
+
+      if (!had || hasChanged(value, oldValue)) {
+        /* => 对新设置的值进行侦测 */
+        this.__ob__.observeCollection([value]);
+        notify(this, key, had ? 'set' : 'add', value, oldValue);
+      }
+
+      return this;
+    });
+  } else {
+    def(methods, 'add', function add(value) {
+      const had = proto.has.call(this, value);
+      proto.add.call(this, value);
+
+      if (!had) {
+        this.__ob__.observeCollection([value]);
+        notify(this, value, 'add', value);
+      }
+
+      return this;
+    });
+  }
+
+  def(methods, 'delete', function (key) {
+    const oldValue = isMap ? proto.get.call(this, key) : key;
+    const result = proto.delete.call(this, key);
+
+    if (result) notify(this, key, 'delete', undefined, oldValue);
+
+    return result;
+  });
+
+  def(methods, 'clear', function clear() {
+    const hadItems = sizeGetter.call(this) !== 0;
+    const result = proto.clear.call(this);
+
+    if (hadItems) notify(this, undefined, 'clear');
+
+    return result;
+  });
+
+  return methods;
+}
+
+/* => 不支持 Map / Set 的环境（例如 IE9）下为 null */
+export const mapMethods: ?Object = typeof Map !== 'undefined' ? createCollectionMethods(Map.prototype, true) : null;
+export const setMethods: ?Object = typeof Set !== 'undefined' ? createCollectionMethods(Set.prototype, false) : null;
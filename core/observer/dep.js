@@ -4,39 +4,66 @@ import config from '../config';
 
 let uid = 0;
 
+/* => 触发更新的来源信息 | type：set / add / delete / array-mutation */
+export type DepTrigger = {
+  target: any,
+  key: any,
+  type: string,
+  newValue?: any, // => 仅开发环境
+  oldValue?: any, // => 仅开发环境
+  args?: Array<any>, // => 数组变异方法的参数（仅开发环境）
+};
+
+/* => 依赖收集的来源信息（仅开发环境） | type：get */
+export type DepTrack = {
+  target: any,
+  key: any,
+  type: string,
+};
+
 /* => 一个 dep 是可以有多个订阅者（Watcher） */
 export default class Dep {
   static target: ?Watcher;
   id: number;
   subs: Array<Watcher>;
+  triggerSubs: number;
 
   constructor() {
     this.id = uid++;
 
     /* => Object 依赖收集处 */
     this.subs = [];
+
+    /* => 监听了 onTrigger 的订阅者数量（onTrigger 只在 Watcher 创建时设置） */
+    this.triggerSubs = 0;
   }
 
   /* => 添加订阅者 */
   addSub(sub: Watcher) {
     this.subs.push(sub);
+    if (sub.onTrigger) this.triggerSubs++;
   }
 
   /* => 删除订阅者 */
   removeSub(sub: Watcher) {
-    /* => 使用了 splice 移除 */
-    remove(this.subs, sub);
+    /* => 使用了 splice 移除 | 仅在确实移除时更新计数 */
+    if (remove(this.subs, sub) && sub.onTrigger) this.triggerSubs--;
   }
 
-  /* => 收集依赖 */
-  depend() {
+  /* => 收集依赖 | track 描述了本次读取的来源（仅开发环境，用于 renderTracked） */
+  depend(track?: ?DepTrack) {
     /* => 如果 Watcher 存在，则将自己添加至 Watcher中 */
-    if (Dep.target) Dep.target.addDep(this);
+    if (Dep.target) Dep.target.addDep(this, track);
+  }
+
+  /* => 是否需要构造触发来源：开启了刷新监控，或（仅开发环境）有订阅者监听了 onTrigger（如 renderTriggered ） */
+  shouldTrackTrigger(): boolean {
+    return isInstrumented() || (process.env.NODE_ENV !== 'production' && this.triggerSubs > 0);
   }
 
   /* => 发布订阅模式 */
-  /* => 通知订阅的依赖更新 */
-  notify() {
+  /* => 通知订阅的依赖更新 | trigger 描述了本次变化的来源（可选） */
+  notify(trigger?: ?DepTrigger) {
     // stabilize the subscriber list first => 拷贝订阅列表
     const subs = this.subs.slice();
 
@@ -44,10 +71,15 @@ export default class Dep {
     if (process.env.NODE_ENV !== 'production' && !config.async) subs.sort((a, b) => a.id - b.id);
 
     /* => 触发更新 */
-    for (let i = 0, l = subs.length; i < l; i++) subs[i].update();
+    for (let i = 0, l = subs.length; i < l; i++) subs[i].update(trigger);
   }
 }
 
+/* => 是否开启了刷新监控 */
+export function isInstrumented(): boolean {
+  return !!(config.onFlush || config.onWatcherRun);
+}
+
 // => 正在评估的当前目标观察程序。 这是全局唯一的，因为一次只能计算一个观察者。
 Dep.target = null;
 const targetStack = [];
@@ -0,0 +1,103 @@
+import type Watcher from './watcher';
+import { warn } from '../util/index';
+
+/* => 当前活动的作用域，在该作用域内创建的 Watcher 都会被它收集 */
+export let activeEffectScope: EffectScope | void;
+
+/* => 切换活动作用域，返回一个用于恢复之前作用域的函数 */
+export function setActiveEffectScope(scope: ?EffectScope): () => void {
+  const prevScope = activeEffectScope;
+  activeEffectScope = scope || undefined;
+  return () => (activeEffectScope = prevScope);
+}
+
+/**
+ * => 作用域：收集在其内部创建的 Watcher 与清理函数，调用 stop() 时一并销毁
+ * => 非分离（detached 为 false）的作用域会被父作用域收集，父作用域停止时子作用域随之停止
+ */
+export class EffectScope {
+  active: boolean;
+  detached: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  parent: EffectScope | void;
+  scopes: Array<EffectScope> | void; // => 非分离的子作用域
+  index: number | void; // => 在父作用域 scopes 中的索引，用于快速移除
+  _vm: boolean; // => 是否为组件实例的作用域
+
+  constructor(detached?: boolean) {
+    this.active = true;
+    this.detached = !!detached;
+    this.effects = [];
+    this.cleanups = [];
+    this._vm = false;
+    this.parent = activeEffectScope;
+
+    if (!this.detached && activeEffectScope) {
+      this.index = (activeEffectScope.scopes || (activeEffectScope.scopes = [])).push(this) - 1;
+    }
+  }
+
+  /* => 在当前作用域内执行函数，期间创建的 Watcher 都会被收集 */
+  run<T>(fn: () => T): T | void {
+    if (this.active) {
+      const restore = setActiveEffectScope(this);
+      try {
+        return fn();
+      } finally {
+        restore();
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn('Cannot run an inactive effect scope.', null, 'VUE_INACTIVE_EFFECT_SCOPE');
+    }
+  }
+
+  /* => 停止作用域：销毁收集的 Watcher ，执行清理函数，并停止子作用域 */
+  stop(fromParent?: boolean) {
+    if (!this.active) return;
+
+    // => 先标记为非活动状态，Watcher 销毁时便不会逐个从 effects 中移除自己
+    this.active = false;
+
+    let i, l;
+    for (i = 0, l = this.effects.length; i < l; i++) this.effects[i].teardown();
+    for (i = 0, l = this.cleanups.length; i < l; i++) this.cleanups[i]();
+    if (this.scopes) {
+      for (i = 0, l = this.scopes.length; i < l; i++) this.scopes[i].stop(true);
+    }
+
+    // => 嵌套作用域，从父作用域中移除自己（用最后一个元素填补空位，避免 O(n) 的删除）
+    if (!this.detached && this.parent && !fromParent) {
+      const last = (this.parent.scopes: any).pop();
+      if (last && last !== this) {
+        (this.parent.scopes: any)[(this.index: any)] = last;
+        last.index = this.index;
+      }
+    }
+
+    this.effects.length = this.cleanups.length = 0;
+    this.parent = undefined;
+  }
+}
+
+/* => 将 Watcher 记录到作用域中 */
+export function recordEffectScope(effect: Watcher, scope: ?EffectScope): ?EffectScope {
+  if (scope && scope.active) {
+    scope.effects.push(effect);
+    return scope;
+  }
+}
+
+/* => 获取当前活动的作用域 */
+export function getCurrentScope(): EffectScope | void {
+  return activeEffectScope;
+}
+
+/* => 在当前活动的作用域上注册清理函数，作用域停止时调用 */
+export function onScopeDispose(fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn);
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn('onScopeDispose() is called when there is no active effect scope to be associated with.', null, 'VUE_INACTIVE_EFFECT_SCOPE');
+  }
+}
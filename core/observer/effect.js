@@ -0,0 +1,97 @@
+import Watcher from './watcher';
+import Dep from './dep';
+import { warn, noop, isServerRendering, invokeWithErrorHandling } from '../util/index';
+
+export type ComputedRef = {
+  value: any,
+  effect: ?Watcher,
+};
+
+export type WatchEffectOptions = {
+  flush?: 'pre' | 'post' | 'sync',
+};
+
+/**
+ * => 独立于组件实例的计算属性，返回带有 value 属性的对象
+ * => 与组件的计算属性一样使用懒惰的 Watcher ：只在依赖变化后首次读取 value 时重新求值
+ */
+export function computed(getterOrOptions: Function | { get: Function, set?: Function }, setter?: Function): ComputedRef {
+  let getter;
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions;
+  } else {
+    getter = getterOrOptions.get;
+    setter = getterOrOptions.set;
+  }
+
+  // => 服务端渲染期间计算属性只是 getter
+  const watcher = isServerRendering() ? null : new Watcher(null, getter, noop, { lazy: true });
+
+  const ref = { effect: watcher };
+  Object.defineProperty(ref, 'value', {
+    enumerable: true,
+    configurable: true,
+    get() {
+      if (!watcher) return getter();
+
+      if (watcher.dirty) watcher.evaluate();
+
+      /* => 依赖收集（读取 value 的观察者同样依赖计算属性的依赖） */
+      if (Dep.target) watcher.depend();
+
+      return watcher.value;
+    },
+    set(value) {
+      if (setter) {
+        setter(value);
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn('Write operation failed: computed value is readonly.', null, 'VUE_COMPUTED_NO_SETTER');
+      }
+    },
+  });
+
+  return (ref: any);
+}
+
+/**
+ * => 立即执行传入的函数并追踪其依赖，依赖变化时重新执行
+ * => flush：pre（默认，在组件重新渲染之前）/ post（在组件重新渲染之后）/ sync（依赖变化时同步执行）
+ * => 函数接收 onInvalidate 用于注册清理回调，在重新执行之前以及停止时调用
+ * => 返回停止函数；在作用域（Vue.effectScope）内创建时，随作用域一起停止
+ */
+export function watchEffect(fn: (onInvalidate: (cleanup: Function) => void) => any, options?: WatchEffectOptions): Function {
+  const flush = (options && options.flush) || 'pre';
+
+  let cleanup: ?Function;
+  const onInvalidate = (fn: Function) => (cleanup = fn);
+  const runCleanup = () => {
+    if (cleanup) {
+      const fn = cleanup;
+      cleanup = null;
+      invokeWithErrorHandling(fn, null, null, null, 'watchEffect cleanup');
+    }
+  };
+
+  // => 服务端渲染期间只执行一次，不追踪依赖
+  if (isServerRendering()) {
+    invokeWithErrorHandling(fn, null, [onInvalidate], null, 'watchEffect');
+    return noop;
+  }
+
+  const getter = () => {
+    runCleanup();
+    invokeWithErrorHandling(fn, null, [onInvalidate], null, 'watchEffect');
+  };
+
+  const watcher = new Watcher(null, getter, noop, {
+    sync: flush === 'sync',
+    post: flush === 'post',
+    // => pre 模式下通过更高优先级的通道，保证在组件重新渲染之前执行
+    priority: flush === 'pre' ? 'user-blocking' : undefined,
+  });
+  watcher.onStop = runCleanup;
+
+  return function stop() {
+    watcher.teardown();
+  };
+}
@@ -1,6 +1,8 @@
 import Dep from './dep';
 import VNode from '../vdom/vnode';
 import { arrayMethods } from './array';
+import { mapMethods, setMethods, isCollection } from './collection';
+import { isReadonly, addReadonlyKey, removeReadonlyKey } from './readonly';
 import {
   def,
   warn,
@@ -9,6 +11,7 @@ import {
   isObject,
   isPlainObject,
   isPrimitive,
+  toRawType,
   isUndef,
   isValidArrayIndex,
   isServerRendering,
@@ -17,6 +20,9 @@ import {
 /* => 获取数组原型上的属性 */
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods);
 
+/* => 标记对象永远不会被观测（markRaw） */
+export const RAW_FLAG = '__v_skip';
+
 /* => 在某些情况下，我们可能希望禁用组件更新计算中的观察 */
 export let shouldObserve: boolean = true;
 
@@ -30,9 +36,11 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // => 将此对象作为根 $data 的 vm 数
+  shallow: boolean; // => 浅观测：只有第一层属性是响应式的
 
-  constructor(value: any) {
+  constructor(value: any, shallow?: boolean) {
     this.value = value;
+    this.shallow = !!shallow;
 
     /* => 用来收集 Array 的依赖 */
     this.dep = new Dep();
@@ -56,6 +64,17 @@ export class Observer {
 
       /* => 观测数组中的每一项（对象） */
       this.observeArray(value);
+    } else if (isCollection(value)) {
+      /* => 观测 Map / Set ，与数组一样通过拦截原型方法实现 */
+      const methods = toRawType(value) === 'Map' ? mapMethods : setMethods;
+      if (hasProto) {
+        protoAugment(value, methods);
+      } else {
+        copyCollectionAugment(value, methods);
+      }
+
+      /* => 观测集合中的每一项（Map 的值与 Set 的成员） */
+      this.observeCollection(value);
     } else {
       /* => 观测对象，重新定义对象类型数据 */
       this.walk(value);
@@ -66,14 +85,32 @@ export class Observer {
   walk(obj: Object) {
     const keys = Object.keys(obj);
 
-    /* => 给该 obj 上的 key 定义响应式 */
-    for (let i = 0; i < keys.length; i++) defineReactive(obj, keys[i]);
+    /* => 给该 obj 上的 key 定义响应式（浅观测时不递归观测属性值） */
+    for (let i = 0; i < keys.length; i++) {
+      if (this.shallow) {
+        defineReactive(obj, keys[i], obj[keys[i]], null, true);
+      } else {
+        defineReactive(obj, keys[i]);
+      }
+    }
   }
 
-  /* => 观察数组项列表 */
+  /* => 观察数组项列表（浅观测时跳过） */
   observeArray(items: Array<any>) {
+    if (this.shallow) return;
     for (let i = 0, l = items.length; i < l; i++) observe(items[i]);
   }
+
+  /* => 观察集合的值列表 | 接受 Map / Set 或数组（浅观测时跳过） */
+  observeCollection(items: any) {
+    if (this.shallow) return;
+
+    if (Array.isArray(items)) {
+      this.observeArray(items);
+    } else {
+      items.forEach((item) => observe(item));
+    }
+  }
 }
 
 /* => 通过拦截原型方法，观测数组 */
@@ -89,8 +126,16 @@ function copyAugment(target: Object, src: Object, keys: Array<string>) {
   }
 }
 
+/* => 通过定义隐藏属性来扩充 Map / Set（需要保留 size 的 getter） */
+function copyCollectionAugment(target: Object, src: Object) {
+  const keys = Object.getOwnPropertyNames(src);
+  for (let i = 0, l = keys.length; i < l; i++) {
+    Object.defineProperty(target, keys[i], (Object.getOwnPropertyDescriptor(src, keys[i]): any));
+  }
+}
+
 /* => 尝试为值创建观察者实例，如果观察成功，则返回新的观察者，如果该数据对象已经有一个观察者，则返回现有的观察者 */
-export function observe(value: any, asRootData: ?boolean): Observer | void {
+export function observe(value: any, asRootData: ?boolean, shallow?: boolean): Observer | void {
   /* => 必须是对象才能被观测 */
   if (!isObject(value) || value instanceof VNode) return;
 
@@ -103,12 +148,14 @@ export function observe(value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     Object.isExtensible(value) &&
+    !value[RAW_FLAG] &&
+    !isReadonly(value) &&
     !value._isVue
   ) {
-    /* => 若是一个数组或者一个普通对象，且是可扩展的，且不是 vm 实例，则创建观测者实例 */
-    ob = new Observer(value);
+    /* => 若是一个数组或者一个普通对象，且是可扩展的，且未被 markRaw 标记，且不是 vm 实例，则创建观测者实例 */
+    ob = new Observer(value, shallow);
   }
 
   /* => 如果为根实例数据，实例个数自增 */
@@ -152,7 +199,11 @@ export function defineReactive(obj: Object, key: string, val: any, customSetter?
       /* => 如果 Watcher 存在 */
       if (Dep.target) {
         /* => 只要读取了一次该 key 的值，就代表一个依赖，收集依赖 Watcher */
-        dep.depend();
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, key, type: 'get' });
+        } else {
+          dep.depend();
+        }
 
         if (childOb) {
           /* => 观察者实例上的依赖收集 Array */
@@ -188,7 +239,7 @@ export function defineReactive(obj: Object, key: string, val: any, customSetter?
       childOb = !shallow && observe(newVal);
 
       /* => 通知数据对应的依赖进行更新 */
-      dep.notify();
+      dep.notify(dep.shouldTrackTrigger() ? { target: obj, key, type: 'set', newValue: newVal, oldValue: value } : undefined);
     },
   });
 }
@@ -197,7 +248,13 @@ export function defineReactive(obj: Object, key: string, val: any, customSetter?
 export function set(target: Array<any> | Object, key: any, val: any): any {
   if (process.env.NODE_ENV !== 'production' && (isUndef(target) || isPrimitive(target))) {
     /* => 无法对 undefined 、null 或原始值设置响应式属性 */
-    warn(`Cannot set reactive property on undefined, null, or primitive value: ${target}`);
+    warn(`Cannot set reactive property on undefined, null, or primitive value: ${target}`, null, 'VUE_SET_ON_PRIMITIVE', { key });
+  }
+
+  /* => 只读对象拒绝写入 */
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warn(`Set operation on key "${key}" failed: target is readonly.`, null, 'VUE_READONLY_MUTATED', { key });
+    return;
   }
 
   /* => 如果它是一个数组，且 key 是一个有效的索引 */
@@ -227,7 +284,9 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
     /* => 避免在运行时向 Vue 实例或其根 $data 添加响应式性属性 - 在 data 选项中预先声明它。 */
     /* => 如 this.$set(this.$data, key, val) 这是不合法的 */
     process.env.NODE_ENV !== 'production' &&
-      warn('Avoid adding reactive properties to a Vue instance or its root $data at runtime - declare it upfront in the data option.');
+      warn('Avoid adding reactive properties to a Vue instance or its root $data at runtime - declare it upfront in the data option.', null, 'VUE_SET_ON_ROOT', {
+        key,
+      });
     return val;
   }
 
@@ -235,14 +294,16 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
   if (!ob) {
     /* => 直接设置这个值并返回 */
     target[key] = val;
+    addReadonlyKey(target, key);
     return val;
   }
 
   /* => 说明是在响应式数据上新增的属性，将该值转换成 getter / setter */
-  defineReactive(ob.value, key, val);
+  defineReactive(ob.value, key, val, null, ob.shallow);
+  addReadonlyKey(target, key);
 
   /* => 通知依赖更新 */
-  ob.dep.notify();
+  ob.dep.notify(ob.dep.shouldTrackTrigger() ? { target, key, type: 'add', newValue: val } : undefined);
   return val;
 }
 
@@ -250,7 +311,13 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
 export function del(target: Array<any> | Object, key: any) {
   if (process.env.NODE_ENV !== 'production' && (isUndef(target) || isPrimitive(target))) {
     /* => 无法删除 undefined、null 或原始值的响应性属性 */
-    warn(`Cannot delete reactive property on undefined, null, or primitive value: ${target}`);
+    warn(`Cannot delete reactive property on undefined, null, or primitive value: ${target}`, null, 'VUE_DELETE_ON_PRIMITIVE', { key });
+  }
+
+  /* => 只读对象拒绝删除 */
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warn(`Delete operation on key "${key}" failed: target is readonly.`, null, 'VUE_READONLY_MUTATED', { key });
+    return;
   }
 
   /* => 如果是数组，且索引有效 */
@@ -264,7 +331,7 @@ export function del(target: Array<any> | Object, key: any) {
   const ob = target.__ob__;
   if (target._isVue || (ob && ob.vmCount)) {
     /* => 避免删除 Vue 实例或其根 $data 上的属性-只需将其设置为空。 */
-    process.env.NODE_ENV !== 'production' && warn('Avoid deleting properties on a Vue instance or its root $data - just set it to null.');
+    process.env.NODE_ENV !== 'production' && warn('Avoid deleting properties on a Vue instance or its root $data - just set it to null.', null, 'VUE_DELETE_ON_ROOT', { key });
     return;
   }
 
@@ -272,13 +339,21 @@ export function del(target: Array<any> | Object, key: any) {
   if (!hasOwn(target, key)) return;
 
   /* => 删除该 key */
+  const oldValue = target[key];
   delete target[key];
+  removeReadonlyKey(target, key);
 
   /* => 如果不是响应式的，就没必要通知更新 */
   if (!ob) return;
 
   /* => 手动通知依赖更新 */
-  ob.dep.notify();
+  ob.dep.notify(ob.dep.shouldTrackTrigger() ? { target, key, type: 'delete', oldValue } : undefined);
+}
+
+/* => 标记对象永远不会被观测，返回对象本身 */
+export function markRaw<T: Object>(value: T): T {
+  if (isObject(value) && Object.isExtensible(value)) def(value, RAW_FLAG, true);
+  return value;
 }
 
 /* => 在接触数组时收集对数组元素的依赖关系，因为我们不能像属性 getter 那样拦截数组元素访问 */
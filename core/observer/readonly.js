@@ -0,0 +1,74 @@
+// => 不经由 util/index 引入（它依赖 observer/index ），避免与 observer/index 循环依赖
+import { def } from '../util/lang';
+import { warn } from '../util/debug';
+import { hasOwn, isObject, isPlainObject } from 'shared/util';
+
+/* => 只读视图上的隐藏属性 */
+const READONLY_FLAG = '__v_isReadonly';
+const RAW_KEY = '__v_raw';
+
+// => 以源对象为键缓存其只读视图（不在源对象上写属性，冻结 / 不可扩展的对象同样可以缓存）
+const readonlyViews: WeakMap<Object, Object> = new WeakMap();
+
+/* => 是否为只读视图 */
+export function isReadonly(value: any): boolean {
+  return !!(value && value[READONLY_FLAG]);
+}
+
+/**
+ * => 创建对象的只读视图（视图本身永远不会被观测，见 observe ）
+ * => 视图上的每个属性都是代理到源对象的 getter ，因此源对象若是响应式的，读取视图同样会收集依赖；
+ * => 通过 Vue.set / Vue.delete 新增或删除的属性会同步到视图上；
+ * => 写入视图时在开发环境下发出警告并拒绝写入。嵌套的普通对象在读取时同样返回只读视图。
+ */
+export function readonly<T: Object>(target: T): T {
+  if (!isObject(target) || isReadonly(target)) return target;
+
+  // => 与 Vue 2 的响应式原理一样，无法拦截数组的索引写入与变异方法
+  if (!isPlainObject(target)) {
+    process.env.NODE_ENV !== 'production' &&
+      warn(`Vue.readonly() only supports plain objects, got ${Array.isArray(target) ? 'an Array' : 'a non-plain object'}.`, null, 'VUE_READONLY_UNSUPPORTED');
+    return target;
+  }
+
+  const cached = readonlyViews.get(target);
+  if (cached) return (cached: any);
+
+  const proxy = Object.create(Object.getPrototypeOf(target));
+  def(proxy, READONLY_FLAG, true);
+  def(proxy, RAW_KEY, target);
+
+  const keys = Object.keys(target);
+  for (let i = 0; i < keys.length; i++) defineReadonlyProperty(proxy, target, keys[i]);
+
+  readonlyViews.set(target, proxy);
+
+  return (proxy: any);
+}
+
+/* => 源对象通过 Vue.set 新增属性后，同步到已创建的只读视图上 */
+export function addReadonlyKey(target: Object, key: string) {
+  const proxy = readonlyViews.get(target);
+  if (proxy && !hasOwn(proxy, key)) defineReadonlyProperty(proxy, target, key);
+}
+
+/* => 源对象通过 Vue.delete 删除属性后，从只读视图上移除 */
+export function removeReadonlyKey(target: Object, key: string) {
+  const proxy = readonlyViews.get(target);
+  if (proxy) delete proxy[key];
+}
+
+/* => 在只读视图上定义代理属性 */
+function defineReadonlyProperty(proxy: Object, target: Object, key: string) {
+  Object.defineProperty(proxy, key, {
+    enumerable: true,
+    configurable: true,
+    get() {
+      const value = target[key];
+      return isPlainObject(value) ? readonly(value) : value;
+    },
+    set() {
+      process.env.NODE_ENV !== 'production' && warn(`Set operation on key "${key}" failed: target is readonly.`, null, 'VUE_READONLY_MUTATED', { key });
+    },
+  });
+}
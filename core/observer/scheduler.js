@@ -1,11 +1,66 @@
 import type Watcher from './watcher';
+import type { DepTrigger } from './dep';
+import { isInstrumented } from './dep';
 import config from '../config';
 import { callHook, activateChildComponent } from '../instance/lifecycle';
 
-import { warn, nextTick, devtools, inBrowser, isIE } from '../util/index';
+import { warn, nextTick, devtools, inBrowser, isIE, isNative } from '../util/index';
 
 export const MAX_UPDATE_COUNT = 100;
 
+/**
+ * => 优先级通道（由高到低）
+ * sync          => 依赖变化时立即同步执行，不进入队列
+ * user-blocking => 在本轮刷新中最先执行
+ * normal        => 在本轮刷新中执行（默认）
+ * idle          => 在宏任务中分片执行，每片执行完毕后让出主线程
+ */
+export const SCHEDULER_LANES = ['sync', 'user-blocking', 'normal', 'idle'];
+export const DEFAULT_LANE = 'normal';
+
+// => 每个 idle 分片的时间预算（毫秒）
+export const IDLE_SLICE_BUDGET = 5;
+
+const laneRank: { [lane: string]: number } = {};
+SCHEDULER_LANES.forEach((lane, i) => (laneRank[lane] = i));
+
+/* => 是否为有效的优先级通道 */
+export function isValidLane(lane: any): boolean {
+  return typeof lane === 'string' && laneRank[lane] !== undefined;
+}
+
+/* => 将通道限制为不高于 max 的优先级（子组件的渲染观察者不能先于父组件执行） */
+export function capLane(lane: ?string, max: ?string): ?string {
+  if (!isValidLane(lane) || !isValidLane(max)) return lane || max;
+  return laneRank[(lane: any)] < laneRank[(max: any)] ? max : lane;
+}
+
+/* => post 观察者排在最后，其余先按通道优先级，再按 id 排序（保证父组件先于子组件、用户观察者先于渲染观察者） */
+function compareWatchers(a: Watcher, b: Watcher): number {
+  return +a.post - +b.post || laneRank[a.priority] - laneRank[b.priority] || a.id - b.id;
+}
+
+/* => 刷新监控：单个观察者的运行记录 */
+export type WatcherRunRecord = {
+  id: number,
+  expression: string,
+  lane: string,
+  vm: ?Component, // => 所属组件
+  isRender: boolean, // => 是否为组件的渲染观察者（即一次重新渲染）
+  duration: number,
+  trigger: ?DepTrigger,
+};
+
+/* => 刷新监控：一次刷新的统计信息 */
+export type FlushStats = {
+  lane: string, // => 'normal'（本轮刷新，含 user-blocking）或 'idle'（一个 idle 分片）
+  timestamp: number,
+  duration: number,
+  count: number,
+  watchers: Array<WatcherRunRecord>,
+  components: Array<Component>, // => 本次重新渲染的组件
+};
+
 const queue: Array<Watcher> = [];
 const activatedChildren: Array<Component> = [];
 let has: { [key: number]: ?true } = {};
@@ -14,6 +69,14 @@ let waiting = false;
 let flushing = false;
 let index = 0;
 
+// => idle 通道拥有独立的队列与状态，它跨越多个宏任务刷新
+const idleQueue: Array<Watcher> = [];
+let idleHas: { [key: number]: ?true } = {};
+let idleCircular: { [key: number]: number } = {};
+let idleWaiting = false;
+let idleFlushing = false;
+let idleIndex = 0;
+
 /* => 重置调度程序的状态 */
 function resetSchedulerState() {
   index = queue.length = activatedChildren.length = 0;
@@ -45,18 +108,77 @@ if (inBrowser && !isIE) {
   }
 }
 
+/* => 运行观察者，开启刷新监控时记录耗时与触发来源 */
+function runWatcher(watcher: Watcher, records: ?Array<WatcherRunRecord>) {
+  const trigger = watcher.trigger;
+  watcher.trigger = null;
+
+  if (!records) {
+    watcher.run();
+    return;
+  }
+
+  const start = getNow();
+  watcher.run();
+
+  const vm = watcher.vm;
+  const record: WatcherRunRecord = {
+    id: watcher.id,
+    expression: watcher.expression,
+    lane: watcher.priority,
+    vm,
+    isRender: !!vm && vm._watcher === watcher,
+    duration: getNow() - start,
+    trigger,
+  };
+  records.push(record);
+
+  if (config.onWatcherRun) config.onWatcherRun(record);
+}
+
+/* => 报告一次刷新的统计信息 */
+function reportFlush(lane: string, start: number, records: ?Array<WatcherRunRecord>) {
+  if (!records || !config.onFlush) return;
+
+  const components = [];
+  for (let i = 0; i < records.length; i++) if (records[i].isRender) components.push(records[i].vm);
+
+  config.onFlush({ lane, timestamp: start, duration: getNow() - start, count: records.length, watchers: records, components });
+}
+
+/* => 在开发构建中，检查循环更新，超出上限时返回 true */
+function checkCircular(watcher: Watcher, counter: { [key: number]: number }): boolean {
+  const id = watcher.id;
+  counter[id] = (counter[id] || 0) + 1;
+  if (counter[id] > MAX_UPDATE_COUNT) {
+    warn(
+      'You may have an infinite update loop ' +
+        (watcher.user ? `in watcher with expression "${watcher.expression}"` : `in a component render function.`),
+      watcher.vm,
+      'VUE_INFINITE_UPDATE_LOOP',
+      { watcher: watcher.id, expression: watcher.expression },
+    );
+    return true;
+  }
+  return false;
+}
+
 /* => => 刷新队列并运行观察程序 */
 function flushSchedulerQueue() {
   currentFlushTimestamp = getNow();
   flushing = true;
   let watcher, id;
 
+  // => 刷新监控记录（未开启时为 null）
+  const records = isInstrumented() ? [] : null;
+
   // => 在刷新之前对队列排序
   // => 这将确保
   // 1. => 组件从父组件更新到子组件。(因为父节点总是在子节点之前创建的)
   // 2. => 组件的用户观察者在其渲染观察者之前运行(因为用户观察者是在渲染观察者之前创建的)
   // 3. => 如果一个组件在父组件的监视程序运行期间被销毁，则可以跳过它的监视程序。
-  queue.sort((a, b) => a.id - b.id);
+  // => 同一通道内按 id 排序，user-blocking 通道先于 normal 通道
+  queue.sort(compareWatchers);
 
   // => 不要缓存长度，因为在运行现有的监视程序时可能会推送更多的监视程序
   for (index = 0; index < queue.length; index++) {
@@ -65,20 +187,10 @@ function flushSchedulerQueue() {
 
     id = watcher.id;
     has[id] = null;
-    watcher.run();
+    runWatcher(watcher, records);
 
     // => 在开发构建中，检查并停止循环更新。
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1;
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' +
-            (watcher.user ? `in watcher with expression "${watcher.expression}"` : `in a component render function.`),
-          watcher.vm,
-        );
-        break;
-      }
-    }
+    if (process.env.NODE_ENV !== 'production' && has[id] != null && checkCircular(watcher, circular)) break;
   }
 
   // => 在重置状态之前保留 post 队列的副本
@@ -91,16 +203,128 @@ function flushSchedulerQueue() {
   callActivatedHooks(activatedQueue);
   callUpdatedHooks(updatedQueue);
 
+  reportFlush('normal', currentFlushTimestamp, records);
+
+  // devtool hook
+  if (devtools && config.devtools) devtools.emit('flush');
+}
+
+/* => 重置 idle 通道的状态 */
+function resetIdleState() {
+  idleIndex = idleQueue.length = 0;
+  idleHas = {};
+  if (process.env.NODE_ENV !== 'production') idleCircular = {};
+
+  idleWaiting = idleFlushing = false;
+}
+
+/**
+ * => 在宏任务中执行回调，让浏览器有机会处理输入与绘制
+ * 浏览器中使用 MessageChannel （首次调用时创建），其余环境降级为 setTimeout ：
+ * Node 中处于监听状态的 MessagePort 会阻止进程退出（SSR 服务进程、测试运行器）
+ */
+const useMessageChannel =
+  inBrowser &&
+  typeof MessageChannel !== 'undefined' &&
+  (isNative(MessageChannel) || MessageChannel.toString() === '[object MessageChannelConstructor]');
+
+let channel: ?MessageChannel = null;
+const pendingTasks: Array<Function> = [];
+
+function scheduleMacroTask(cb: Function) {
+  if (!useMessageChannel) {
+    setTimeout(cb, 0);
+    return;
+  }
+  if (!channel) {
+    channel = new MessageChannel();
+    channel.port1.onmessage = () => (pendingTasks.shift(): any)();
+  }
+  pendingTasks.push(cb);
+  channel.port2.postMessage(1);
+}
+
+/* => 分片刷新 idle 队列 | 每片超出时间预算后让出主线程，剩余的观察者在下一个宏任务中继续执行 */
+function flushIdleQueue() {
+  const start = getNow();
+  currentFlushTimestamp = start;
+  idleFlushing = true;
+
+  const sliceStart = idleIndex;
+  const records = isInstrumented() ? [] : null;
+  let watcher, id;
+  for (; idleIndex < idleQueue.length; idleIndex++) {
+    // => 同步模式下（config.async 为 false）不做分片
+    if (idleIndex > sliceStart && config.async && getNow() - start >= IDLE_SLICE_BUDGET) break;
+
+    watcher = idleQueue[idleIndex];
+    if (watcher.before) watcher.before();
+
+    id = watcher.id;
+    idleHas[id] = null;
+    runWatcher(watcher, records);
+
+    if (process.env.NODE_ENV !== 'production' && idleHas[id] != null && checkCircular(watcher, idleCircular)) {
+      idleIndex = idleQueue.length;
+      break;
+    }
+  }
+
+  // => 本片执行过的观察者与在本片中激活的 keep-alive 组件
+  const updatedQueue = idleQueue.slice(sliceStart, idleIndex);
+  const activatedQueue = activatedChildren.slice();
+  activatedChildren.length = 0;
+
+  if (idleIndex < idleQueue.length) {
+    // => 还有剩余，让出主线程后继续
+    idleFlushing = false;
+    scheduleMacroTask(flushIdleQueue);
+  } else {
+    resetIdleState();
+  }
+
+  callActivatedHooks(activatedQueue);
+  callUpdatedHooks(updatedQueue);
+
+  reportFlush('idle', start, records);
+
   // devtool hook
   if (devtools && config.devtools) devtools.emit('flush');
 }
 
+/* => 将观察者推入 idle 队列 */
+function queueIdleWatcher(watcher: Watcher) {
+  const id = watcher.id;
+  if (idleHas[id] != null) return;
+
+  idleHas[id] = true;
+
+  // => 由于刷新跨越多个宏任务，队列始终按 id 有序插入到尚未执行的部分（父组件先于子组件更新）
+  // => 分片执行中，当前正在运行的观察者（idleIndex）之前的位置不可插入
+  const lowerBound = idleFlushing ? idleIndex : idleIndex - 1;
+  let i = idleQueue.length - 1;
+  while (i > lowerBound && idleQueue[i].id > watcher.id) i--;
+
+  idleQueue.splice(i + 1, 0, watcher);
+
+  if (!idleWaiting) {
+    idleWaiting = true;
+
+    if (process.env.NODE_ENV !== 'production' && !config.async) {
+      flushIdleQueue();
+      return;
+    }
+
+    scheduleMacroTask(flushIdleQueue);
+  }
+}
+
 function callUpdatedHooks(queue) {
   let i = queue.length;
   while (i--) {
     const watcher = queue[i];
     const vm = watcher.vm;
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) callHook(vm, 'updated');
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) callHook(vm, 'updated');
   }
 }
 
@@ -121,6 +345,9 @@ function callActivatedHooks(queue) {
 
 /* => 将观察程序推入观察程序队列。具有重复ID的作业将被跳过，除非在刷新队列时将其推入 */
 export function queueWatcher(watcher: Watcher) {
+  // => idle 通道走分片刷新
+  if (watcher.priority === 'idle') return queueIdleWatcher(watcher);
+
   const id = watcher.id;
 
   /* => 判断 has 对象中是否存在该 watcher */
@@ -135,7 +362,7 @@ export function queueWatcher(watcher: Watcher) {
     } else {
       // => 如果已经刷新，则根据观察程序的 id 将其拼接，如果已经超过了它的 id ，它将立即运行
       let i = queue.length - 1;
-      while (i > index && queue[i].id > watcher.id) i--;
+      while (i > index && compareWatchers(queue[i], watcher) > 0) i--;
 
       queue.splice(i + 1, 0, watcher);
     }
@@ -1,6 +1,7 @@
 import { _Set as Set, isObject } from '../util/index';
 import type { SimpleSet } from '../util/index';
 import VNode from '../vdom/vnode';
+import { isCollection } from './collection';
 
 const seenObjects = new Set();
 
@@ -31,6 +32,9 @@ function _traverse(val: any, seen: SimpleSet) {
   if (isA) {
     i = val.length;
     while (i--) _traverse(val[i], seen);
+  } else if (isCollection(val)) {
+    /* => 如果是 Map / Set ，遍历（同时收集集合本身的依赖）并递归侦测每一个值 */
+    val.forEach((item) => _traverse(item, seen));
   } else {
     /* => 如果是对象，则递归侦测对象的每一个属性值 */
     keys = Object.keys(val);
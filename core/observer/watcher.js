@@ -1,7 +1,10 @@
-import { warn, remove, isObject, parsePath, _Set as Set, handleError, noop } from '../util/index';
+import { warn, remove, extend, isObject, parsePath, _Set as Set, handleError, noop } from '../util/index';
 import { traverse } from './traverse';
-import { queueWatcher } from './scheduler';
+import { queueWatcher, isValidLane, DEFAULT_LANE } from './scheduler';
 import Dep, { pushTarget, popTarget } from './dep';
+import { activeEffectScope, recordEffectScope } from './effect-scope';
+import type { EffectScope } from './effect-scope';
+import type { DepTrigger, DepTrack } from './dep';
 import type { SimpleSet } from '../util/index';
 
 let uid = 0;
@@ -12,7 +15,7 @@ let uid = 0;
  * => 这用于 $watch() api 和指令。
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component; // => 独立于组件的 Watcher（Vue.computed / Vue.watchEffect）没有实例
   expression: string;
   cb: Function;
   id: number;
@@ -20,6 +23,7 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  priority: string;
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -27,18 +31,24 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  post: boolean; // => 在同一轮刷新中，于所有其他观察者（包括渲染观察者）之后运行
+  onStop: ?Function; // => 销毁时调用
+  scope: ?EffectScope; // => 收集本观察者的作用域
+  trigger: ?DepTrigger; // => 使本观察者进入队列的变化来源（仅在开启刷新监控时记录）
+  onTrack: ?Function; // => 调试：收集到新依赖时调用（仅开发环境）
+  onTrigger: ?Function; // => 调试：依赖变化触发更新时调用（仅开发环境）
   getter: Function;
   value: any;
 
   /* => 实例、表达式、回调函数、配置选项、是否为渲染 Watcher */
-  constructor(vm: Component, expOrFn: string | Function, cb: Function, options?: ?Object, isRenderWatcher?: boolean) {
+  constructor(vm: ?Component, expOrFn: string | Function, cb: Function, options?: ?Object, isRenderWatcher?: boolean) {
     this.vm = vm;
 
     /* => 如果是渲染 Watcher ，在实例上添加 _watcher 私有属性 */
-    if (isRenderWatcher) vm._watcher = this;
+    if (vm && isRenderWatcher) vm._watcher = this;
 
-    /* => 给每个实例创建一个 watchers 收集池，当前实例下，每创建一个 watcher ，就将自己存入（ $watch 方法） */
-    vm._watchers.push(this);
+    /* => 将自己记录到作用域中：优先使用当前活动的作用域，否则归属于实例的作用域（随实例销毁） */
+    this.scope = recordEffectScope(this, activeEffectScope || (vm ? vm._scope : undefined));
 
     // => new Watcher 时传入
     if (options) {
@@ -47,9 +57,29 @@ export default class Watcher {
       this.lazy = !!options.lazy; // => 计算属性
       this.sync = !!options.sync;
       this.before = options.before;
+      this.priority = options.priority || DEFAULT_LANE;
+      this.post = !!options.post;
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack;
+        this.onTrigger = options.onTrigger;
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false;
+      this.deep = this.user = this.lazy = this.sync = this.post = false;
+      this.priority = DEFAULT_LANE;
+    }
+
+    // => 优先级通道：sync / user-blocking / normal / idle
+    if (!isValidLane(this.priority)) {
+      process.env.NODE_ENV !== 'production' &&
+        warn(`Invalid watcher priority "${this.priority}", falling back to "${DEFAULT_LANE}".`, vm, 'VUE_INVALID_PRIORITY', {
+          priority: this.priority,
+        });
+      this.priority = DEFAULT_LANE;
     }
+
+    // => sync 通道等同于 sync 选项
+    if (this.priority === 'sync') this.sync = true;
+
     this.cb = cb;
     this.id = ++uid; // => 用于批处理的 uid
     this.active = true;
@@ -77,6 +107,8 @@ export default class Watcher {
           warn(
             `Failed watching path: "${expOrFn}" Watcher only accepts simple dot-delimited paths. For full control, use a function instead.`,
             vm,
+            'VUE_WATCH_PATH_FAILED',
+            { path: expOrFn },
           );
       }
     }
@@ -116,13 +148,16 @@ export default class Watcher {
   }
 
   /* => 添加一个依赖项 */
-  addDep(dep: Dep) {
+  addDep(dep: Dep, track?: ?DepTrack) {
     const id = dep.id;
 
     /* => 防止重复订阅 */
     if (!this.newDepIds.has(id)) {
       this.newDepIds.add(id);
 
+      /* => 本次求值中首次收集到该依赖 */
+      if (process.env.NODE_ENV !== 'production' && track && this.onTrack) this.onTrack(extend({ effect: this }, track));
+
       /* => 将已订阅的 dep 添加到订阅列表（因为当前 Watcher 可能订阅多个 dep） */
       this.newDeps.push(dep);
 
@@ -149,12 +184,19 @@ export default class Watcher {
   }
 
   /* => 当依赖项更改时将调用订阅接口 */
-  update() {
+  update(trigger?: ?DepTrigger) {
+    if (process.env.NODE_ENV !== 'production' && trigger && this.onTrigger) this.onTrigger(extend({ effect: this }, trigger));
+
+    // => 记录首个触发来源，由调度程序在运行后清除
+    if (trigger && !this.trigger) this.trigger = trigger;
+
     /* => 对于计算属性，不会立即更新，而是标识为 true 当用户取值时，再执行取值操作。且优先于 DOM 渲染，由此渲染时才可以拿到最新的计算属性值 */
     if (this.lazy) {
       this.dirty = true;
     } else if (this.sync) {
+      if (this.before) this.before();
       this.run();
+      this.trigger = null;
     } else {
       /* => 将调用 update 的订阅者添加到 Watcher 异步队列 */
       queueWatcher(this);
@@ -190,6 +232,8 @@ export default class Watcher {
   evaluate() {
     this.value = this.get();
     this.dirty = false;
+    // => 计算属性不进入调度队列，触发来源在此清除，避免持有过期的 target / key 引用
+    this.trigger = null;
   }
 
   /* => 取决于此监视程序收集的所有 Dep */
@@ -201,9 +245,8 @@ export default class Watcher {
   /* => 从所有依赖项的订阅列表中删除自己 */
   teardown() {
     if (this.active) {
-      /* => 从 vm 的观察者列表中删除自己这是一个有点昂贵的操作，因此如果 vm 被销毁，我们将跳过它。 */
-      /* => 从观察者列表中移除自己 */
-      if (!this.vm._isBeingDestroyed) remove(this.vm._watchers, this);
+      /* => 从作用域的观察者列表中删除自己。这是一个有点昂贵的操作，因此如果作用域正在停止，我们将跳过它。 */
+      if (this.scope && this.scope.active) remove(this.scope.effects, this);
 
       let i = this.deps.length;
       /* => 从每个依赖列表中移除自己 */
@@ -211,6 +254,7 @@ export default class Watcher {
       while (i--) this.deps[i].removeSub(this);
 
       this.active = false;
+      if (this.onStop) this.onStop();
     }
   }
 }
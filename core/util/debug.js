@@ -1,8 +1,10 @@
 import config from '../config';
 import { noop } from 'shared/util';
+import { UNKNOWN_WARNING, getWarningSeverity } from './warnings';
+import type { VueWarning, WarningSeverity } from './warnings';
 
-export let warn = noop;
-export let tip = noop;
+export let warn: (msg: string, vm?: any, code?: ?string, payload?: ?Object) => void = noop;
+export let tip: (msg: string, vm?: any, code?: ?string, payload?: ?Object) => void = noop;
 export let generateComponentTrace = noop;
 export let formatComponentName = noop;
 
@@ -11,24 +13,55 @@ if (process.env.NODE_ENV !== 'production') {
   const classifyRE = /(?:^|[-_])(\w)/g;
   const classify = (str) => str.replace(classifyRE, (c) => c.toUpperCase()).replace(/[-_]/g, '');
 
-  warn = (msg, vm) => {
-    const trace = vm ? generateComponentTrace(vm) : '';
+  /* => 取得组件选项（vm 可能是实例、构造函数或选项对象） */
+  const getOptions = (vm) => (typeof vm === 'function' && vm.cid != null ? vm.options : vm._isVue ? vm.$options || vm.constructor.options : vm);
+
+  /* => 构造结构化警告对象 */
+  const createWarning = (msg: string, vm: any, code: ?string, payload: ?Object, severity?: WarningSeverity): VueWarning => {
+    code = code || UNKNOWN_WARNING;
+    return {
+      code,
+      severity: severity || getWarningSeverity(code),
+      message: msg,
+      component: vm ? formatComponentName(vm, false) : undefined,
+      file: vm ? getOptions(vm).__file : undefined,
+      trace: vm ? generateComponentTrace(vm) : '',
+      payload,
+      vm,
+    };
+  };
+
+  /* => 是否被 config.warningFilter 过滤（数组形式为需要屏蔽的 code 列表，函数形式返回 false 时屏蔽） */
+  const isFiltered = (warning: VueWarning): boolean => {
+    const filter = config.warningFilter;
+    if (!filter) return false;
+
+    return Array.isArray(filter) ? filter.indexOf(warning.code) > -1 : filter(warning) === false;
+  };
+
+  warn = (msg, vm, code, payload) => {
+    const warning = createWarning(msg, vm, code, payload);
+    if (isFiltered(warning)) return;
 
     if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace);
+      // => 第四个参数为结构化的警告对象，前三个参数保持向后兼容
+      config.warnHandler.call(null, msg, vm, warning.trace, warning);
     } else if (hasConsole && !config.silent) {
-      console.error(`[Vue warn]: ${msg}${trace}`);
+      console.error(`[Vue warn]: ${msg}${warning.trace}`);
     }
   };
 
-  tip = (msg, vm) => {
-    if (hasConsole && !config.silent) console.warn(`[Vue tip]: ${msg}` + (vm ? generateComponentTrace(vm) : ''));
+  tip = (msg, vm, code, payload) => {
+    const warning = createWarning(msg, vm, code, payload, 'tip');
+    if (isFiltered(warning)) return;
+
+    if (hasConsole && !config.silent) console.warn(`[Vue tip]: ${msg}${warning.trace}`);
   };
 
   formatComponentName = (vm, includeFile) => {
     if (vm.$root === vm) return '<Root>';
 
-    const options = typeof vm === 'function' && vm.cid != null ? vm.options : vm._isVue ? vm.$options || vm.constructor.options : vm;
+    const options = getOptions(vm);
     let name = options.name || options._componentTag;
     const file = options.__file;
     if (!name && file) {
@@ -62,7 +62,7 @@ function globalHandleError(err, vm, info) {
 }
 
 function logError(err, vm, info) {
-  if (process.env.NODE_ENV !== 'production') warn(`Error in ${info}: "${err.toString()}"`, vm);
+  if (process.env.NODE_ENV !== 'production') warn(`Error in ${info}: "${err.toString()}"`, vm, 'VUE_ERROR_CAPTURED', { error: err, info });
 
   if ((inBrowser || inWeex) && typeof console !== 'undefined') {
     console.error(err);
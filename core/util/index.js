@@ -3,6 +3,7 @@ export * from './lang';
 export * from './env';
 export * from './options';
 export * from './debug';
+export * from './warnings';
 export * from './props';
 export * from './error';
 export * from './next-tick';
@@ -14,7 +14,7 @@ const strats = config.optionMergeStrategies;
 // => 选择与限制
 if (process.env.NODE_ENV !== 'production') {
   strats.el = strats.propsData = function (parent, child, vm, key) {
-    if (!vm) warn(`option "${key}" can only be used during instance ` + 'creation with the `new` keyword.');
+    if (!vm) warn(`option "${key}" can only be used during instance ` + 'creation with the `new` keyword.', null, 'VUE_OPTION_NEW_ONLY', { option: key });
 
     return defaultStrat(parent, child);
   };
@@ -77,7 +77,7 @@ strats.data = function (parentVal: any, childVal: any, vm?: Component): ?Functio
   if (!vm) {
     if (childVal && typeof childVal !== 'function') {
       process.env.NODE_ENV !== 'production' &&
-        warn('The "data" option should be a function ' + 'that returns a per-instance value in component ' + 'definitions.', vm);
+        warn('The "data" option should be a function ' + 'that returns a per-instance value in component ' + 'definitions.', vm, 'VUE_DATA_NOT_FUNCTION');
 
       return parentVal;
     }
@@ -175,12 +175,12 @@ function checkComponents(options: Object) {
 export function validateComponentName(name: string) {
   if (!new RegExp(`^[a-zA-Z][\\-\\.0-9_${unicodeRegExp.source}]*$`).test(name)) {
     // => 无效的组件名称：" name " | 组件名称应符合 html5 规范中有效的自定义元素名称。
-    warn(`Invalid component name: "${name}". Component names should conform to valid custom element name in html5 specification.`);
+    warn(`Invalid component name: "${name}". Component names should conform to valid custom element name in html5 specification.`, null, 'VUE_INVALID_COMPONENT_NAME', { name });
   }
 
   if (isBuiltInTag(name) || config.isReservedTag(name)) {
     // => 不要使用内置（slot / component）或保留的 HTML 元素作为组件
-    warn(`Do not use built-in or reserved HTML elements as component. id: '${name}'`);
+    warn(`Do not use built-in or reserved HTML elements as component. id: '${name}'`, null, 'VUE_RESERVED_COMPONENT_NAME', { name });
   }
 }
 
@@ -207,7 +207,7 @@ function normalizeProps(options: Object, vm: ?Component) {
         res[name] = { type: null };
       } else if (process.env.NODE_ENV !== 'production') {
         /* => 使用数组语法时，prop 必须是字符串。 */
-        warn('props must be strings when using array syntax.');
+        warn('props must be strings when using array syntax.', null, 'VUE_INVALID_OPTION_TYPE', { option: 'props' });
       }
     }
   } else if (isPlainObject(props)) {
@@ -223,7 +223,10 @@ function normalizeProps(options: Object, vm: ?Component) {
     }
   } else if (process.env.NODE_ENV !== 'production') {
     /* => 选项 props 的值无效：期望数组或对象，但得到 toRawType(props) 。 */
-    warn(`Invalid value for option "props": expected an Array or an Object, but got ${toRawType(props)}.`, vm);
+    warn(`Invalid value for option "props": expected an Array or an Object, but got ${toRawType(props)}.`, vm, 'VUE_INVALID_OPTION_TYPE', {
+      option: 'props',
+      actual: toRawType(props),
+    });
   }
 
   /* => 使用规范化后的 props 覆盖原来的 props */
@@ -243,7 +246,10 @@ function normalizeInject(options: Object, vm: ?Component) {
       normalized[key] = isPlainObject(val) ? extend({ from: key }, val) : { from: val };
     }
   } else if (process.env.NODE_ENV !== 'production') {
-    warn(`Invalid value for option "inject": expected an Array or an Object, but got ${toRawType(inject)}.`, vm);
+    warn(`Invalid value for option "inject": expected an Array or an Object, but got ${toRawType(inject)}.`, vm, 'VUE_INVALID_OPTION_TYPE', {
+      option: 'inject',
+      actual: toRawType(inject),
+    });
   }
 }
 
@@ -259,7 +265,12 @@ function normalizeDirectives(options: Object) {
 }
 
 function assertObjectType(name: string, value: any, vm: ?Component) {
-  if (!isPlainObject(value)) warn(`Invalid value for option "${name}": expected an Object, but got ${toRawType(value)}.`, vm);
+  if (!isPlainObject(value)) {
+    warn(`Invalid value for option "${name}": expected an Object, but got ${toRawType(value)}.`, vm, 'VUE_INVALID_OPTION_TYPE', {
+      option: name,
+      actual: toRawType(value),
+    });
+  }
 }
 
 // => 将两个option对象合并到一个新对象中。在实例化和继承中使用的核心实用程序
@@ -322,7 +333,10 @@ export function resolveAsset(options: Object, type: string, id: string, warnMiss
   const res = assets[id] || assets[camelizedId] || assets[PascalCaseId];
 
   // => 未能解析 asset
-  if (process.env.NODE_ENV !== 'production' && warnMissing && !res) warn(`Failed to resolve ${type.slice(0, -1)}: ${id}`, options);
+  if (process.env.NODE_ENV !== 'production' && warnMissing && !res) warn(`Failed to resolve ${type.slice(0, -1)}: ${id}`, options, 'VUE_ASSET_NOT_FOUND', {
+      type: type.slice(0, -1),
+      id,
+    });
 
   return res;
 }
@@ -64,6 +64,8 @@ function getPropDefaultValue(vm: ?Component, prop: PropOptions, key: string): an
     warn(
       `Invalid default value for prop "${key}": Props with type Object/Array must use a factory function to return the default value.`,
       vm,
+      'VUE_PROP_INVALID_DEFAULT',
+      { prop: key },
     );
   }
 
@@ -82,7 +84,7 @@ function getPropDefaultValue(vm: ?Component, prop: PropOptions, key: string): an
 function assertProp(prop: PropOptions, name: string, value: any, vm: ?Component, absent: boolean) {
   if (prop.required && absent) {
     /* => 缺少必需的 prop : name */
-    warn(`Missing required prop: "${name}"`, vm);
+    warn(`Missing required prop: "${name}"`, vm, 'VUE_PROP_REQUIRED_MISSING', { prop: name });
     return;
   }
 
@@ -103,13 +105,17 @@ function assertProp(prop: PropOptions, name: string, value: any, vm: ?Component,
   }
 
   if (!valid) {
-    warn(getInvalidTypeMessage(name, value, expectedTypes), vm);
+    warn(getInvalidTypeMessage(name, value, expectedTypes), vm, 'VUE_PROP_TYPE_MISMATCH', {
+      prop: name,
+      expected: expectedTypes,
+      actual: toRawType(value),
+    });
     return;
   }
   const validator = prop.validator;
   if (validator) {
     /* => 无效的 prop :自定义验证器检查失败的 prop name */
-    if (!validator(value)) warn(`Invalid prop: custom validator check failed for prop "${name}".`, vm);
+    if (!validator(value)) warn(`Invalid prop: custom validator check failed for prop "${name}".`, vm, 'VUE_PROP_VALIDATOR_FAILED', { prop: name });
   }
 }
 
@@ -0,0 +1,111 @@
+/* => 运行时警告注册表 | 每条警告都有一个稳定的 code 与严重级别，供日志系统识别与过滤 */
+export type WarningSeverity = 'error' | 'warning' | 'tip';
+
+export type VueWarning = {
+  code: string,
+  severity: WarningSeverity,
+  message: string,
+  component: ?string, // => 组件名，如 <MyComponent>
+  file: ?string, // => 组件的 __file
+  trace: string,
+  payload: ?Object, // => 与具体警告相关的结构化数据
+  vm: ?Component,
+};
+
+// => 未登记 code 的警告（例如第三方插件通过 Vue.util.warn 发出）
+export const UNKNOWN_WARNING = 'VUE_UNKNOWN_WARNING';
+
+const registry: { [code: string]: WarningSeverity } = Object.create(null);
+
+/* => 登记警告 code ，已存在的 code 会被覆盖 */
+export function registerWarning(code: string, severity: WarningSeverity) {
+  registry[code] = severity;
+}
+
+/* => 获取 code 对应的严重级别，未登记的 code 视为 warning */
+export function getWarningSeverity(code: string): WarningSeverity {
+  return registry[code] || 'warning';
+}
+
+/* => 内置警告 */
+const builtInWarnings: { [code: string]: WarningSeverity } = {
+  // => 选项
+  VUE_MISSING_NEW: 'error',
+  VUE_CONFIG_REPLACED: 'error',
+  VUE_OPTION_NEW_ONLY: 'warning',
+  VUE_DATA_NOT_FUNCTION: 'error',
+  VUE_INVALID_COMPONENT_NAME: 'error',
+  VUE_RESERVED_COMPONENT_NAME: 'error',
+  VUE_INVALID_OPTION_TYPE: 'error',
+  VUE_ASSET_NOT_FOUND: 'error',
+
+  // => props
+  VUE_PROP_INVALID_DEFAULT: 'error',
+  VUE_PROP_REQUIRED_MISSING: 'error',
+  VUE_PROP_TYPE_MISMATCH: 'error',
+  VUE_PROP_VALIDATOR_FAILED: 'error',
+  VUE_PROP_CASE_MISMATCH: 'tip',
+  VUE_PROP_RESERVED: 'error',
+  VUE_PROP_MUTATED: 'warning',
+
+  // => 状态
+  VUE_DATA_NOT_OBJECT: 'error',
+  VUE_DATA_REPLACED: 'warning',
+  VUE_PROPS_READONLY: 'warning',
+  VUE_STATE_KEY_CONFLICT: 'warning',
+  VUE_COMPUTED_GETTER_MISSING: 'error',
+  VUE_COMPUTED_NO_SETTER: 'warning',
+  VUE_METHOD_NOT_FUNCTION: 'error',
+  VUE_METHOD_RESERVED: 'warning',
+  VUE_INJECTION_MUTATED: 'warning',
+  VUE_INJECTION_NOT_FOUND: 'warning',
+  VUE_PROPERTY_NOT_DEFINED: 'warning',
+  VUE_RESERVED_PROPERTY_ACCESS: 'warning',
+  VUE_KEYCODE_OVERWRITE: 'warning',
+
+  // => 响应式
+  VUE_SET_ON_PRIMITIVE: 'error',
+  VUE_SET_ON_ROOT: 'warning',
+  VUE_DELETE_ON_PRIMITIVE: 'error',
+  VUE_DELETE_ON_ROOT: 'warning',
+  VUE_READONLY_MUTATED: 'warning',
+  VUE_READONLY_UNSUPPORTED: 'warning',
+  VUE_SHALLOW_ALREADY_OBSERVED: 'warning',
+  VUE_WATCH_PATH_FAILED: 'error',
+  VUE_INFINITE_UPDATE_LOOP: 'error',
+  VUE_INACTIVE_EFFECT_SCOPE: 'warning',
+  VUE_INVALID_PRIORITY: 'warning',
+
+  // => 渲染
+  VUE_RUNTIME_ONLY_TEMPLATE: 'error',
+  VUE_MOUNT_NO_RENDER: 'error',
+  VUE_MOUNT_ON_ROOT_ELEMENT: 'error',
+  VUE_TEMPLATE_NOT_FOUND: 'warning',
+  VUE_INVALID_TEMPLATE: 'error',
+  VUE_FRAGMENT_FALLTHROUGH: 'warning',
+  VUE_INVALID_COMPONENT: 'error',
+  VUE_UNKNOWN_ELEMENT: 'error',
+  VUE_DUPLICATE_KEYS: 'warning',
+  VUE_NON_PRIMITIVE_KEY: 'warning',
+  VUE_OBSERVED_VNODE_DATA: 'warning',
+  VUE_NATIVE_MODIFIER_ON_ELEMENT: 'warning',
+  VUE_INVALID_BINDING: 'warning',
+  VUE_INVALID_HANDLER: 'error',
+  VUE_EVENT_CASE_MISMATCH: 'tip',
+  VUE_ASYNC_COMPONENT_FAILED: 'error',
+  VUE_HYDRATION_MISMATCH: 'error',
+  VUE_INVALID_HYDRATION_STRATEGY: 'warning',
+  VUE_HYDRATION_ATTRS_MISMATCH: 'warning',
+  VUE_ERROR_CAPTURED: 'error',
+  VUE_KEEP_ALIVE_INVALID_STRATEGY: 'warning',
+  VUE_TELEPORT_INVALID_TARGET: 'warning',
+
+  // => web 平台
+  VUE_ELEMENT_NOT_FOUND: 'error',
+  VUE_TRANSITION_INVALID_DURATION: 'warning',
+  VUE_TRANSITION_INVALID_CHILDREN: 'warning',
+  VUE_TRANSITION_INVALID_MODE: 'warning',
+  VUE_V_MODEL_INVALID_VALUE: 'warning',
+};
+
+for (const code in builtInWarnings) registerWarning(code, builtInWarnings[code]);
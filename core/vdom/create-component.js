@@ -3,7 +3,7 @@ import { resolveConstructorOptions } from 'core/instance/init';
 import { queueActivatedComponent } from 'core/observer/scheduler';
 import { createFunctionalComponent } from './create-functional-component';
 
-import { warn, isDef, isUndef, isTrue, isObject } from '../util/index';
+import { warn, isDef, isUndef, isTrue, isObject, hasOwn } from '../util/index';
 
 import { resolveAsyncComponent, createAsyncPlaceholder, extractPropsFromVNodeData } from './helpers/index';
 
@@ -34,6 +34,14 @@ const componentVNodeHooks = {
   },
 
   prepatch(oldVnode: MountedComponentVNode, vnode: MountedComponentVNode) {
+    const pending = oldVnode.data.pendingHydration;
+    if (pending) {
+      // => 尚未混合的懒混合组件：转移到新的占位节点，触发时以最新的 props 混合
+      pending.vnode = vnode;
+      vnode.data.pendingHydration = pending;
+      return;
+    }
+
     const options = vnode.componentOptions;
     const child = (vnode.componentInstance = oldVnode.componentInstance);
 
@@ -67,7 +75,14 @@ const componentVNodeHooks = {
 
   destroy(vnode: MountedComponentVNode) {
     const { componentInstance } = vnode;
-    if (!componentInstance._isDestroyed) {
+    if (vnode.data.pendingHydration) {
+      // => 尚未混合的懒混合组件：取消触发即可
+      vnode.data.pendingHydration.cancel();
+      vnode.data.pendingHydration = undefined;
+      return;
+    }
+    // => 局部恢复时，不匹配位置之后的组件尚未创建实例
+    if (componentInstance && !componentInstance._isDestroyed) {
       if (!vnode.data.keepAlive) {
         componentInstance.$destroy();
       } else {
@@ -98,7 +113,7 @@ export function createComponent(
   // => 如果在此阶段它不是构造函数或异步组件工厂，则拒绝。
   if (typeof Ctor !== 'function') {
     // => 无效的组件定义： Ctor
-    if (process.env.NODE_ENV !== 'production') warn(`Invalid Component definition: ${ String(Ctor) }`, context);
+    if (process.env.NODE_ENV !== 'production') warn(`Invalid Component definition: ${ String(Ctor) }`, context, 'VUE_INVALID_COMPONENT');
     return;
   }
 
@@ -134,6 +149,13 @@ export function createComponent(
   // => 提取 props
   const propsData = extractPropsFromVNodeData(data, Ctor, tag);
 
+  // => 异步组件的错误组件：声明了 error / reload prop 时传入失败原因与重新加载函数
+  if (isDef(asyncFactory) && Ctor === asyncFactory.errorComp && isDef(propsData)) {
+    const propOptions = Ctor.options.props;
+    if (hasOwn(propOptions, 'error')) propsData.error = asyncFactory.errorReason;
+    if (hasOwn(propOptions, 'reload')) propsData.reload = asyncFactory.reload;
+  }
+
   // => 函数式组件
   if (isTrue(Ctor.options.functional)) return createFunctionalComponent(Ctor, propsData, data, context, children);
 
@@ -50,7 +50,7 @@ export function _createElement(
   if (isDef(data) && isDef(data.__ob__)) {
     // => 避免使用已观测的数据对象作为 VNode data：JSON.stringify(data) 。应总是在每个渲染函数中创建新的 VNode 数据对象！
     process.env.NODE_ENV !== 'production' &&
-    warn(`Avoid using observed data object as vnode data: ${ JSON.stringify(data) }. Always create fresh vnode data objects in each render!`, context);
+    warn(`Avoid using observed data object as vnode data: ${ JSON.stringify(data) }. Always create fresh vnode data objects in each render!`, context, 'VUE_OBSERVED_VNODE_DATA');
 
     // => 发出警告后使用空注释节点代替
     return createEmptyVNode();
@@ -65,7 +65,7 @@ export function _createElement(
   // => 警告非原生键
   if (process.env.NODE_ENV !== 'production' && isDef(data) && isDef(data.key) && !isPrimitive(data.key)) {
     // => 避免使用非原生值作为键，而是使用字符串/数字值。
-    if (!__WEEX__ || !('@binding' in data.key)) warn('Avoid using non-primitive value as key, use string/number value instead.', context);
+    if (!__WEEX__ || !('@binding' in data.key)) warn('Avoid using non-primitive value as key, use string/number value instead.', context, 'VUE_NON_PRIMITIVE_KEY');
   }
 
   // => 支持单个子函数作为默认的作用域插槽
@@ -90,7 +90,7 @@ export function _createElement(
       // => 平台内置的元素
       if (process.env.NODE_ENV !== 'production' && isDef(data) && isDef(data.nativeOn)) {
         // => v-on 的 .native 修饰符仅对组件有效，但它用于 tag 。
-        warn(`The .native modifier for v-on is only valid on components but it was used on <${ tag }>.`, context);
+        warn(`The .native modifier for v-on is only valid on components but it was used on <${ tag }>.`, context, 'VUE_NATIVE_MODIFIER_ON_ELEMENT', { tag });
       }
 
       vnode = new VNode(config.parsePlatformTagName(tag), data, children, undefined, undefined, context);
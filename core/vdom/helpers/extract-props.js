@@ -24,6 +24,9 @@ export function extractPropsFromVNodeData(data: VNodeData, Ctor: Class<Component
               `Note that HTML attributes are case-insensitive and camelCased ` +
               `props need to use their kebab-case equivalents when using in-DOM ` +
               `templates. You should probably use "${altKey}" instead of "${key}".`,
+            null,
+            'VUE_PROP_CASE_MISMATCH',
+            { prop: key, received: keyInLowerCase },
           );
         }
       }
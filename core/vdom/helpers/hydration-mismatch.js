@@ -0,0 +1,125 @@
+/* @flow */
+
+import { isDef, extend } from 'shared/util';
+
+export type HydrationMismatchType = 'tag' | 'node-type' | 'text' | 'innerHTML' | 'children' | 'attrs' | 'class' | 'style';
+
+/* => 单个属性 / 类名 / 样式的差异，值为 null 表示不存在 */
+export type HydrationAttrDiff = {
+  name: string,
+  expected: ?string,
+  actual: ?string,
+};
+
+/* => 平台模块 hydrate 钩子的返回值 | 开启 config.hydrationCheck 时，比较服务端渲染的结果与客户端期望的结果 */
+export type HydrationModuleMismatch = {
+  type: 'attrs' | 'class' | 'style',
+  diffs: Array<HydrationAttrDiff>,
+};
+
+/* => 节点描述：期望值（来自 VNode）或实际值（来自服务端渲染的 DOM） */
+export type HydrationNodeDescriptor = {
+  tag?: string,
+  text?: string,
+  html?: string,
+  attrs?: { [key: string]: string },
+  childCount?: number,
+};
+
+/* => 混合不匹配报告 | 传递给 config.hydrationMismatchHandler */
+export type HydrationMismatchReport = {
+  type: HydrationMismatchType,
+  componentPath: Array<string>, // => 从根组件到所属组件的路径，如 ['<Root>', '<App>', '<TodoList>']
+  domPath: string, // => 服务端节点在 DOM 中的位置，如 'div#app > ul > li:nth-child(2)'
+  expected: HydrationNodeDescriptor,
+  actual: ?HydrationNodeDescriptor,
+  diffs?: Array<HydrationAttrDiff>, // => 仅 attrs / class / style 类型
+  node: ?Node,
+  vnode: VNode,
+  vm: ?Component,
+};
+
+/* => 组件名（生产环境下 formatComponentName 为空函数，这里单独实现一个最小版本） */
+function getComponentName(vm: Component): string {
+  if (vm.$root === vm) return '<Root>';
+  const options = vm.$options;
+  return `<${options.name || options._componentTag || 'Anonymous'}>`;
+}
+
+/* => 获取组件路径 */
+export function getComponentPath(vm: ?Component): Array<string> {
+  const path = [];
+  while (vm) {
+    path.unshift(getComponentName(vm));
+    vm = vm.$parent;
+  }
+  return path;
+}
+
+/* => 获取节点在 DOM 中的路径，遇到带 id 的元素即停止 */
+export function getDomPath(node: ?Node): string {
+  const segments = [];
+  while (node && node.nodeType !== 9) {
+    const parent = node.parentNode;
+    if (node.nodeType !== 1) {
+      segments.unshift(node.nodeType === 3 ? '#text' : '#comment');
+    } else {
+      const el: any = node;
+      let segment = el.tagName.toLowerCase();
+      if (el.id) {
+        segments.unshift(`${segment}#${el.id}`);
+        break;
+      }
+      if (parent && parent.children && parent.children.length > 1) {
+        segment += `:nth-child(${Array.prototype.indexOf.call(parent.children, el) + 1})`;
+      }
+      segments.unshift(segment);
+    }
+    node = parent;
+  }
+  return segments.join(' > ');
+}
+
+/* => 描述 VNode（期望值） */
+export function describeVNode(vnode: VNode): HydrationNodeDescriptor {
+  if (isDef(vnode.tag)) {
+    const data = vnode.data;
+    return { tag: vnode.tag, attrs: data && data.attrs ? extend({}, data.attrs) : undefined };
+  }
+  return { tag: vnode.isComment ? '#comment' : '#text', text: vnode.text };
+}
+
+/* => 描述真实 DOM 节点（实际值） */
+export function describeNode(node: ?Node): ?HydrationNodeDescriptor {
+  if (!node) return null;
+  if (node.nodeType === 1) {
+    const el: any = node;
+    const attrs = {};
+    for (let i = 0; i < el.attributes.length; i++) attrs[el.attributes[i].name] = el.attributes[i].value;
+    return { tag: el.tagName.toLowerCase(), attrs };
+  }
+  return { tag: node.nodeType === 3 ? '#text' : '#comment', text: (node: any).data };
+}
+
+/* => 创建混合不匹配报告 */
+export function createHydrationMismatchReport(
+  type: HydrationMismatchType,
+  node: ?Node,
+  vnode: VNode,
+  vm: ?Component,
+  expected?: HydrationNodeDescriptor,
+  actual?: ?HydrationNodeDescriptor,
+  diffs?: Array<HydrationAttrDiff>,
+): HydrationMismatchReport {
+  return {
+    type,
+    componentPath: getComponentPath(vm),
+    domPath: getDomPath(node),
+    expected: expected || describeVNode(vnode),
+    actual: actual === undefined ? describeNode(node) : actual,
+    diffs,
+    node,
+    vnode,
+    vm,
+  };
+}
@@ -7,3 +7,6 @@ export * from './normalize-children';
 export * from './resolve-async-component';
 export * from './get-first-component-child';
 export * from './is-async-placeholder';
+export * from './hydration-mismatch';
+export * from './lazy-hydration';
+export * from './suspense';
@@ -0,0 +1,85 @@
+/* @flow */
+
+import { warn, inBrowser } from 'core/util/index';
+
+export type HydrationStrategy = 'visible' | 'idle' | 'interaction' | 'never';
+
+export const HYDRATION_STRATEGIES = ['visible', 'idle', 'interaction', 'never'];
+
+/**
+ * => 'interaction' 策略监听的事件
+ * 在捕获阶段同步完成混合，混合时绑定到后代元素上的监听器仍会收到这次事件，用户的首次交互不会丢失
+ */
+const INTERACTION_EVENTS = ['click', 'focusin', 'pointerdown', 'touchstart'];
+
+/* => 挂起的懒混合 | 保存在组件占位节点的 data.pendingHydration 上，父组件重新渲染时随 prepatch 转移到新的 vnode */
+export type PendingHydration = {
+  vnode: VNodeWithData,
+  parent: ?Component, // => 延迟混合时的 activeInstance，作为组件实例的 $parent
+  cancel: () => void,
+};
+
+/* => 获取组件的混合策略（组件选项 hydrate），非法值在开发环境下给出警告并按立即混合处理 */
+export function getHydrationStrategy(vnode: VNode): ?HydrationStrategy {
+  const options = vnode.componentOptions;
+  const strategy = options && options.Ctor.options.hydrate;
+  if (strategy == null) return;
+  if (HYDRATION_STRATEGIES.indexOf(strategy) > -1) return strategy;
+
+  if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid hydrate option "${String(strategy)}". Expected one of ${HYDRATION_STRATEGIES.map((s) => `"${s}"`).join(', ')}.`,
+      vnode.context,
+      'VUE_INVALID_HYDRATION_STRATEGY',
+      { strategy },
+    );
+  }
+}
+
+/**
+ * => 按策略安排混合，返回取消函数
+ * 不支持对应 API 的环境（或根节点不是元素）下返回 null，由调用方立即混合
+ */
+export function scheduleHydration(strategy: HydrationStrategy, elm: Node, hydrate: () => void): ?() => void {
+  if (strategy === 'never') return noopCancel;
+
+  const el: any = elm;
+  if (strategy === 'visible' && el.nodeType === 1 && inBrowser && typeof window.IntersectionObserver !== 'undefined') {
+    const observer = new window.IntersectionObserver((entries) => {
+      for (let i = 0; i < entries.length; i++) {
+        if (entries[i].isIntersecting) {
+          observer.disconnect();
+          hydrate();
+          return;
+        }
+      }
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }
+
+  if (strategy === 'interaction' && el.nodeType === 1) {
+    const cancel = () => {
+      for (let i = 0; i < INTERACTION_EVENTS.length; i++) el.removeEventListener(INTERACTION_EVENTS[i], onInteraction, true);
+    };
+    const onInteraction = () => {
+      cancel();
+      hydrate();
+    };
+    for (let i = 0; i < INTERACTION_EVENTS.length; i++) el.addEventListener(INTERACTION_EVENTS[i], onInteraction, true);
+    return cancel;
+  }
+
+  if (strategy === 'idle' && inBrowser) {
+    if (typeof window.requestIdleCallback !== 'undefined') {
+      const id = window.requestIdleCallback(() => hydrate());
+      return () => window.cancelIdleCallback(id);
+    }
+    const id = setTimeout(() => hydrate(), 1);
+    return () => clearTimeout(id);
+  }
+
+  return null;
+}
+
+function noopCancel() {}
@@ -25,19 +25,30 @@ export function createAsyncPlaceholder(
   return node;
 }
 
+/* => 登记依赖异步组件的实例（去重），实例销毁时从 owners 中移除 */
+export function addAsyncOwner(factory: Function, owner: Component) {
+  const owners = factory.owners;
+  if (owners.indexOf(owner) > -1) return;
+  owners.push(owner);
+  owner.$once('hook:destroyed', () => remove(owners, owner));
+}
+
 /* => 解析异步组件，baseCtor 是 Function Vue */
 export function resolveAsyncComponent(factory: Function, baseCtor: Class<Component>): Class<Component> | void {
-  // => 错误优先级第一
-  if (isTrue(factory.error) && isDef(factory.errorComp)) return factory.errorComp;
+  // => 当前渲染实例 Vue
+  const owner = currentRenderingInstance;
+
+  // => 错误优先级第一（记录 owner ，错误组件触发重新加载时一并更新）
+  if (isTrue(factory.error) && isDef(factory.errorComp)) {
+    if (owner && isDef(factory.owners)) addAsyncOwner(factory, owner);
+    return factory.errorComp;
+  }
 
   // => 强制渲染更新时，再次执行到此，此时 factory.resolved 已经持有值，直接返回组件
   if (isDef(factory.resolved)) return factory.resolved;
 
-  // => 当前渲染实例 Vue
-  const owner = currentRenderingInstance;
-
   // => 已经等待（已经解析过了，将当前渲染实例存入即可（先判断是否已经存在，去重），将异步组件解析结果缓存起来供未来重渲染）
-  if (owner && isDef(factory.owners) && factory.owners.indexOf(owner) === -1) factory.owners.push(owner);
+  if (owner && isDef(factory.owners)) addAsyncOwner(factory, owner);
 
   // => 若标识 loading 为 true ，并且异步组件未决议，则渲染 loading 组件
   if (isTrue(factory.loading) && isDef(factory.loadingComp)) return factory.loadingComp;
@@ -45,16 +56,37 @@ export function resolveAsyncComponent(factory: Function, baseCtor: Class<Compone
   // => 第一次执行本方法时， factory 上没有 owners 属性
   if (owner && !isDef(factory.owners)) {
     // => 给 factory 加上这个属性，避免重复解析
-    const owners = (factory.owners = [owner]);
+    const owners = (factory.owners = []);
+
+    // => 登记 owner 并监听 destroyed 钩子，从 owners 数组中移除 owner
+    addAsyncOwner(factory, owner);
 
     // => 同步标识符
     let sync = true;
 
     let timerLoading = null;
     let timerTimeout = null;
+    let timerRetry = null;
 
-    // => 监听 destroyed 钩子，从 owners 数组中移除 owner
-    owner.$on('hook:destroyed', () => remove(owners, owner));
+    // => 高阶异步组件的配置对象（首次加载时返回），以及已经失败的加载次数
+    let options = null;
+    let attempts = 0;
+    let currentAttempt = 0;
+
+    const clearTimers = () => {
+      if (timerLoading !== null) {
+        clearTimeout(timerLoading);
+        timerLoading = null;
+      }
+      if (timerTimeout !== null) {
+        clearTimeout(timerTimeout);
+        timerTimeout = null;
+      }
+      if (timerRetry !== null) {
+        clearTimeout(timerRetry);
+        timerRetry = null;
+      }
+    };
 
     // => 强制渲染更新
     const forceRender = (renderCompleted: boolean) => {
@@ -64,14 +96,7 @@ export function resolveAsyncComponent(factory: Function, baseCtor: Class<Compone
 
       if (renderCompleted) {
         owners.length = 0;
-        if (timerLoading !== null) {
-          clearTimeout(timerLoading);
-          timerLoading = null;
-        }
-        if (timerTimeout !== null) {
-          clearTimeout(timerTimeout);
-          timerTimeout = null;
-        }
+        clearTimers();
       }
     };
 
@@ -87,74 +112,127 @@ export function resolveAsyncComponent(factory: Function, baseCtor: Class<Compone
       } else {
         // => 否则工厂函数内部是同步执行
         owners.length = 0;
+        clearTimers();
       }
     });
 
-    const reject = once((reason) => {
+    // => 最终失败（不再重试）
+    const fail = (reason) => {
       process.env.NODE_ENV !== 'production' &&
         // => 无法解析异步组件
-        warn(`Failed to resolve async component: ${String(factory)}` + (reason ? `Reason: ${reason}` : ''));
+        warn(`Failed to resolve async component: ${String(factory)}` + (reason ? `Reason: ${reason}` : ''), null, 'VUE_ASYNC_COMPONENT_FAILED', {
+          reason,
+          attempts,
+        });
 
-      // => 如果配置了错误组件，则渲染错误组件
-      if (isDef(factory.errorComp)) {
-        // => 标识为 true
-        factory.error = true;
+      // => 标识为 true（等待中的 suspense 边界据此视为已完成）
+      factory.error = true;
+      factory.errorReason = reason;
+      factory.loading = false;
+      clearTimers();
 
-        // => 强制渲染更新，再次执行 resolveAsyncComponent() 方法时，factory.error 为 true ，将直接渲染错误组件
-        forceRender(true);
+      // => 如果配置了错误组件，或有 suspense 边界在等待，强制渲染更新，再次执行 resolveAsyncComponent() 方法时，factory.error 为 true ，将直接渲染错误组件
+      // => 渲染后清空 owners ，渲染错误组件的实例会重新登记，错误组件触发重新加载后仍能更新
+      if (isDef(factory.errorComp) || owners.some((vm) => vm._isSuspense)) forceRender(true);
+    };
+
+    // => 单次加载失败：交由 onError 决定，或按 retry 配置延时重试，否则失败
+    const onAttemptError = (reason) => {
+      attempts++;
+      if (options && typeof options.onError === 'function') {
+        options.onError(reason, once(load), once(() => fail(reason)), attempts);
+      } else if (shouldRetry(options, reason, attempts)) {
+        timerRetry = setTimeout(() => {
+          timerRetry = null;
+          load();
+        }, getRetryDelay(options, attempts));
+      } else {
+        fail(reason);
       }
-    });
+    };
+
+    // => 执行一次加载，过期的加载（已超时并开始重试）的失败结果会被忽略
+    const load = () => {
+      const attempt = ++currentAttempt;
+      const reject = once((reason) => {
+        if (attempt === currentAttempt && isUndef(factory.resolved)) onAttemptError(reason);
+      });
+
+      // => factory 执行，在异步代码执行完成后，resolve 才调用，它包含组件相关的信息（组件路径 / template ）
+      const res = factory(resolve, reject);
+
+      // => 如果返回的 res 是一个对象，则使用的是 Promise 的方式来加载的异步组件
+      if (isObject(res)) {
+        if (isPromise(res)) {
+          // factory 是 () => import() 的形式，返回 Promise ，调用它的 then 方法，成功则执行 resolve ，失败则执行 reject
+          if (isUndef(factory.resolved)) res.then(resolve, reject);
+        } else if (isPromise(res.component)) {
+          // => 高阶异步组件，factory 执行返回的是一个对象，而这个对象的 component 属性的值返回 Promise
+          res.component.then(resolve, reject);
+
+          // => loading / error 组件只在首次加载时设置，重试期间继续显示 loading 组件
+          if (options === null) setupOptions(res);
 
-    // => factory 执行，在异步代码执行完成后，resolve 才调用，它包含组件相关的信息（组件路径 / template ）
-    const res = factory(resolve, reject);
-
-    // => 如果返回的 res 是一个对象，则使用的是 Promise 的方式来加载的异步组件
-    if (isObject(res)) {
-      if (isPromise(res)) {
-        // factory 是 () => import() 的形式，返回 Promise ，调用它的 then 方法，成功则执行 resolve ，失败则执行 reject
-        if (isUndef(factory.resolved)) res.then(resolve, reject);
-      } else if (isPromise(res.component)) {
-        // => 高阶异步组件，factory 执行返回的是一个对象，而这个对象的 component 属性的值返回 Promise
-        res.component.then(resolve, reject);
-
-        // => 如果提供了错误组件
-        if (isDef(res.error)) factory.errorComp = ensureCtor(res.error, baseCtor);
-
-        // => 如果提供了 loading 组件
-        if (isDef(res.loading)) {
-          factory.loadingComp = ensureCtor(res.loading, baseCtor);
-
-          // => 不延时，直接渲染 loading 组件
-          if (res.delay === 0) {
-            factory.loading = true;
-          } else {
-            // => 延时渲染
-            timerLoading = setTimeout(() => {
-              timerLoading = null;
-
-              // => 如果加载的组件还未决议，并且没有错误发生
-              if (isUndef(factory.resolved) && isUndef(factory.error)) {
-                // => 标识需要渲染 loading 组件
-                factory.loading = true;
-
-                // => 强制渲染更新，再次执行 resolveAsyncComponent() 方法，此时 factory.loading 为 true，则渲染 loading 组件
-                forceRender(false);
-              }
-            }, res.delay || 200); // => 默认延时 200ms
+          // => 设定异步组件加载超时期限（每次加载单独计时）
+          if (isDef(res.timeout)) {
+            if (timerTimeout !== null) clearTimeout(timerTimeout);
+            timerTimeout = setTimeout(() => {
+              timerTimeout = null;
+
+              // => 若超时后异步组件仍未决议，则调用 reject
+              if (isUndef(factory.resolved)) reject(process.env.NODE_ENV !== 'production' ? `timeout (${res.timeout}ms)` : null);
+            }, res.timeout);
           }
         }
+      }
+    };
+
+    const setupOptions = (res) => {
+      options = res;
+
+      // => 如果提供了错误组件
+      if (isDef(res.error)) factory.errorComp = ensureCtor(res.error, baseCtor);
 
-        // => 设定异步组件加载超时期限
-        if (isDef(res.timeout)) {
-          timerTimeout = setTimeout(() => {
-            timerTimeout = null;
+      // => 如果提供了 loading 组件
+      if (isDef(res.loading)) {
+        factory.loadingComp = ensureCtor(res.loading, baseCtor);
 
-            // => 若超时后异步组件仍未决议，则调用 reject
-            if (isUndef(factory.resolved)) reject(process.env.NODE_ENV !== 'production' ? `timeout (${res.timeout}ms)` : null);
-          }, res.timeout);
+        // => 不延时，直接渲染 loading 组件
+        if (res.delay === 0) {
+          factory.loading = true;
+        } else {
+          // => 延时渲染
+          timerLoading = setTimeout(() => {
+            timerLoading = null;
+
+            // => 如果加载的组件还未决议，并且没有错误发生
+            if (isUndef(factory.resolved) && isUndef(factory.error)) {
+              // => 标识需要渲染 loading 组件
+              factory.loading = true;
+
+              // => 强制渲染更新，再次执行 resolveAsyncComponent() 方法，此时 factory.loading 为 true，则渲染 loading 组件
+              forceRender(false);
+            }
+          }, res.delay || 200); // => 默认延时 200ms
         }
       }
-    }
+    };
+
+    /**
+     * => 重新加载（错误组件通过 reload prop 调用）
+     * 清除错误状态与失败次数，重新执行工厂函数，owners 重新渲染为 loading 组件（或占位节点）
+     */
+    factory.reload = () => {
+      if (!isTrue(factory.error)) return;
+      factory.error = undefined;
+      factory.errorReason = undefined;
+      factory.loading = isDef(factory.loadingComp);
+      attempts = 0;
+      load();
+      if (isUndef(factory.resolved)) forceRender(false);
+    };
+
+    load();
 
     // => 同步标识符已经改成了 false ，因为 resolve 在异步的，所以在调用 resolve 时，将强制渲染更新视图
     sync = false;
@@ -164,3 +242,18 @@ export function resolveAsyncComponent(factory: Function, baseCtor: Class<Compone
     return factory.loading ? factory.loadingComp : factory.resolved;
   }
 }
+
+/* => 是否重试：retry 为次数上限，或 (err, attempts) => boolean */
+function shouldRetry(options: ?Object, reason: any, attempts: number): boolean {
+  const retry = options && options.retry;
+  if (typeof retry === 'function') return !!retry(reason, attempts);
+  return typeof retry === 'number' && attempts <= retry;
+}
+
+/* => 指数退避：retryDelay * retryFactor ^ (attempts - 1) ，不超过 retryMaxDelay */
+function getRetryDelay(options: Object, attempts: number): number {
+  const base = isDef(options.retryDelay) ? options.retryDelay : 1000;
+  const factor = isDef(options.retryFactor) ? options.retryFactor : 2;
+  const max = isDef(options.retryMaxDelay) ? options.retryMaxDelay : 30000;
+  return Math.min(base * Math.pow(factor, attempts - 1), max);
+}
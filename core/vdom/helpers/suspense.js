@@ -0,0 +1,39 @@
+/* @flow */
+
+import { isDef, isUndef, isTrue } from 'shared/util';
+import { addAsyncOwner } from './resolve-async-component';
+
+/**
+ * => suspense 边界等待的依赖
+ * 异步组件工厂函数（尚未决议）或 asyncSetup 尚未完成的组件实例
+ */
+export type SuspenseDep = Function | Component;
+
+/* => 查找 vm（含自身）所在的最近的 suspense 边界 */
+export function getSuspenseBoundary(vm: ?Component): ?Component {
+  while (vm) {
+    if (vm._isSuspense) return vm;
+    vm = vm.$parent;
+  }
+}
+
+/* => 依赖是否仍在等待 */
+export function isPendingDep(dep: SuspenseDep): boolean {
+  if (dep._isVue) return isTrue((dep: any)._asyncPending) && !dep._isDestroyed;
+  return isUndef(dep.resolved) && !isTrue(dep.error);
+}
+
+/**
+ * => 将依赖登记到 vm 所在的 suspense 边界，返回该边界
+ * 异步组件：边界加入 factory.owners ，决议（或失败）时随 forceRender 一起重新渲染并重新检查依赖。
+ * 边界已挂载时立即重新渲染，以便重新进入等待状态
+ */
+export function trackSuspenseDep(vm: ?Component, dep: SuspenseDep): ?Component {
+  const boundary = getSuspenseBoundary(vm);
+  if (!boundary || !isPendingDep(dep) || boundary._deps.indexOf(dep) > -1) return boundary;
+
+  boundary._deps.push(dep);
+  if (!dep._isVue && isDef(dep.owners)) addAsyncOwner(dep, boundary);
+  if (boundary._isMounted) boundary.$forceUpdate();
+  return boundary;
+}
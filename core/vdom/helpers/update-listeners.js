@@ -64,7 +64,7 @@ export function updateListeners(on: Object, oldOn: Object, add: Function, remove
     /* => 如果事件是 undefined / null */
     if (isUndef(cur)) {
       /* => 事件 event.name 的处理程序获取无效： */
-      process.env.NODE_ENV !== 'production' && warn(`Invalid handler for event "${event.name}": got ` + String(cur), vm);
+      process.env.NODE_ENV !== 'production' && warn(`Invalid handler for event "${event.name}": got ` + String(cur), vm, 'VUE_INVALID_HANDLER', { event: event.name });
     } else if (isUndef(old)) {
       /* => 如果旧事件池中不存在，说明是新增 */
       if (isUndef(cur.fns)) cur = on[name] = createFnInvoker(cur, vm);
@@ -8,15 +8,18 @@
  * modified by Evan You (@yyx990803) => 由尤雨溪修改
  */
 
-import VNode, { cloneVNode } from './vnode';
+import VNode, { cloneVNode, createFragmentVNode } from './vnode';
 import config from '../config';
-import { SSR_ATTR } from 'shared/constants';
+import { SSR_ATTR, FRAGMENT_START, FRAGMENT_END, TELEPORT_START, TELEPORT_END, TELEPORT_ANCHOR } from 'shared/constants';
 import { registerRef } from './modules/ref';
+import { createHydrationMismatchReport } from './helpers/hydration-mismatch';
+import { getHydrationStrategy, scheduleHydration } from './helpers/lazy-hydration';
+import { trackSuspenseDep } from './helpers/suspense';
 import { traverse } from '../observer/traverse';
-import { activeInstance } from '../instance/lifecycle';
+import { activeInstance, setActiveInstance } from '../instance/lifecycle';
 import { isTextInputType } from 'web/util/element';
 
-import { warn, isDef, isUndef, isTrue, makeMap, isRegExp, isPrimitive } from '../util/index';
+import { warn, noop, isDef, isUndef, isTrue, makeMap, isRegExp, isPrimitive } from '../util/index';
 
 export const emptyNode = new VNode('', {}, []);
 
@@ -32,14 +35,19 @@ export const emptyNode = new VNode('', {}, []);
  * postpatch  => 一个元素已经被修改
  * destroy    => 它的 DOM 元素从 DOM 中移除时或者它的父元素从 DOM 中移除时触发
  * remove     => VNode 对应的 DOM 元素从 DOM 中被移除时触发（只有一个元素从父元素中被移除时会触发，如果它是被移除元素的子元素，则不会触发）
+ * hydrate    => 混合期间校验服务端渲染的结果，返回差异（仅在开启 config.hydrationCheck 时调用）
  */
-const hooks = ['create', 'activate', 'update', 'remove', 'destroy'];
+const hooks = ['create', 'activate', 'update', 'remove', 'destroy', 'hydrate'];
 
 /* => 比较两个节点是否相同 分别比较他们的 key / tag / comment / data / inputType ... */
 function sameVnode(a, b) {
   return (
     a.key === b.key &&
-    ((a.tag === b.tag && a.isComment === b.isComment && isDef(a.data) === isDef(b.data) && sameInputType(a, b)) ||
+    ((a.tag === b.tag &&
+      a.isComment === b.isComment &&
+      a.isFragment === b.isFragment &&
+      isDef(a.data) === isDef(b.data) &&
+      sameInputType(a, b)) ||
       (isTrue(a.isAsyncPlaceholder) && a.asyncFactory === b.asyncFactory && isUndef(b.asyncFactory.error)))
   );
 }
@@ -87,9 +95,107 @@ export function createPatchFunction(backend) {
 
   /* => 空节点定位 */
   function emptyNodeAt(elm) {
+    // => 服务端渲染的片段（或传送门）：以整个锚点范围作为旧节点
+    if (isFragmentAnchor(elm, FRAGMENT_START) || isFragmentAnchor(elm, TELEPORT_START)) return markServerFragment(elm);
+
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm);
   }
 
+  /* => 是否是片段的锚点注释 */
+  function isFragmentAnchor(node, text) {
+    return isDef(node) && node.nodeType === 8 && node.data === text;
+  }
+
+  /* => 标记服务端渲染的片段范围（起始锚点到与之匹配的结束锚点），返回对应的空片段节点 */
+  function markServerFragment(start) {
+    let depth = 0;
+    let node = start;
+    const endText = start.data === TELEPORT_START ? TELEPORT_END : FRAGMENT_END;
+    const fragment = createFragmentVNode([]);
+    fragment.elm = fragment.anchor = start;
+    while ((node = nodeOps.nextSibling(node))) {
+      if (isFragmentAnchor(node, start.data)) {
+        depth++;
+      } else if (isFragmentAnchor(node, endText) && depth-- === 0) {
+        fragment.anchor = node;
+        break;
+      }
+    }
+    start._fragment = fragment;
+    return fragment;
+  }
+
+  /**
+   * => 获取片段包含的所有 DOM 节点（包括起止锚点）
+   * 已挂载时起止锚点之间是连续的兄弟节点；未挂载时（如组件根节点创建后尚未插入）按子节点收集
+   */
+  function getFragmentNodes(fragment) {
+    const nodes = [];
+    let node = fragment.elm;
+    if (isDef(nodeOps.parentNode(node))) {
+      while (isDef(node)) {
+        nodes.push(node);
+        if (node === fragment.anchor) break;
+        node = nodeOps.nextSibling(node);
+      }
+    } else {
+      nodes.push(node);
+      // => 传送到目标容器中的子节点不属于片段的范围
+      const children = isTeleported(fragment) ? [] : fragment.children;
+      for (let i = 0; i < children.length; i++) {
+        const elm = children[i].elm;
+        if (isDef(elm._fragment)) {
+          nodes.push.apply(nodes, getFragmentNodes(elm._fragment));
+        } else {
+          nodes.push(elm);
+        }
+      }
+      nodes.push(fragment.anchor);
+    }
+    return nodes;
+  }
+
+  /* => 传送门是否启用（子节点渲染在目标容器中） */
+  function isTeleported(fragment) {
+    return isTrue(fragment.isTeleport) && isDef(fragment.data.teleport.target);
+  }
+
+  /* => 解析传送门的目标容器，禁用时返回 null 。目标无效时给出警告并渲染在原位置 */
+  function resolveTeleportTarget(vnode) {
+    const { to, disabled, offscreen } = vnode.data.teleport;
+    if (disabled) return null;
+
+    // => 渲染到脱离文档的容器中（ suspense 等待时的默认内容）
+    if (offscreen) return nodeOps.createElement('div');
+
+    const target = typeof to === 'string' ? (nodeOps.querySelector ? nodeOps.querySelector(to) : null) : to;
+    if (!target && process.env.NODE_ENV !== 'production') {
+      warn(`Invalid teleport target: ${String(to)}. Rendering teleported content in place.`, vnode.context, 'VUE_TELEPORT_INVALID_TARGET', { to });
+    }
+    return target || null;
+  }
+
+  /* => 在目标容器末尾创建传送门的目标锚点，子节点插入在它之前 */
+  function createTeleportAnchor(teleport) {
+    teleport.targetAnchor = nodeOps.createComment(TELEPORT_ANCHOR);
+    nodeOps.appendChild(teleport.target, teleport.targetAnchor);
+  }
+
+  /* => 节点之后的兄弟节点（片段取结束锚点之后的节点） */
+  function nextSiblingOf(elm) {
+    return nodeOps.nextSibling(isDef(elm._fragment) ? elm._fragment.anchor : elm);
+  }
+
+  /* => 移动节点（片段会整体移动） */
+  function moveElm(parent, elm, ref) {
+    if (isDef(elm._fragment)) {
+      const nodes = getFragmentNodes(elm._fragment);
+      for (let i = 0; i < nodes.length; i++) nodeOps.insertBefore(parent, nodes[i], ref);
+    } else {
+      nodeOps.insertBefore(parent, elm, ref);
+    }
+  }
+
   /* => 创建删除回调 */
   function createRmCb(childElm, listeners) {
     function remove() {
@@ -101,8 +207,24 @@ export function createPatchFunction(backend) {
     return remove;
   }
 
-  /* => 删除视图中单个节点 */
+  /* => 删除视图中单个节点（片段会整体删除） */
   function removeNode(el) {
+    if (isDef(el._fragment)) {
+      const fragment = el._fragment;
+      const nodes = getFragmentNodes(fragment);
+      for (let i = 0; i < nodes.length; i++) removeSingleNode(nodes[i]);
+
+      // => 传送门：同时删除目标容器中的子节点和目标锚点
+      if (isTeleported(fragment)) {
+        for (let i = 0; i < fragment.children.length; i++) removeNode(fragment.children[i].elm);
+        removeSingleNode(fragment.data.teleport.targetAnchor);
+      }
+      return;
+    }
+    removeSingleNode(el);
+  }
+
+  function removeSingleNode(el) {
     // => 获取当前元素的父级节点
     const parent = nodeOps.parentNode(el);
 
@@ -139,6 +261,10 @@ export function createPatchFunction(backend) {
     // => 对于过渡回车校验
     vnode.isRootInsert = !nested;
     if (createComponent(vnode, insertedVnodeQueue, parentElm, refElm)) return;
+    if (isTrue(vnode.isFragment)) return createFragment(vnode, insertedVnodeQueue, parentElm, refElm);
+
+    // => 异步组件占位节点：登记到所在的 suspense 边界
+    if (isDef(vnode.asyncFactory)) trackSuspenseDep(activeInstance, vnode.asyncFactory);
 
     const data = vnode.data;
     const children = vnode.children;
@@ -153,6 +279,8 @@ export function createPatchFunction(backend) {
             `Unknown custom element: <${ tag }> - did you register the component correctly? 
              For recursive components, make sure to provide the "name" option.`,
             vnode.context,
+            'VUE_UNKNOWN_ELEMENT',
+            { tag },
           );
         }
       }
@@ -194,6 +322,63 @@ export function createPatchFunction(backend) {
     }
   }
 
+  /* => 创建片段：子节点依次渲染在起止两个锚点之间 */
+  function createFragment(vnode, insertedVnodeQueue, parentElm, refElm) {
+    const children = vnode.children;
+    const isTeleport = isTrue(vnode.isTeleport);
+    vnode.elm = nodeOps.createComment(isTeleport ? TELEPORT_START : FRAGMENT_START);
+    vnode.anchor = nodeOps.createComment(isTeleport ? TELEPORT_END : FRAGMENT_END);
+    insertNode(parentElm, vnode.elm, refElm);
+
+    // => 传送门：子节点渲染到目标容器中
+    let container = parentElm;
+    let ref = refElm;
+    if (isTeleport) {
+      const teleport = vnode.data.teleport;
+      if ((teleport.target = resolveTeleportTarget(vnode))) {
+        createTeleportAnchor(teleport);
+        container = teleport.target;
+        ref = teleport.targetAnchor;
+      }
+    }
+
+    if (process.env.NODE_ENV !== 'production') checkDuplicateKeys(children);
+    for (let i = 0; i < children.length; ++i) {
+      createElm(children[i], insertedVnodeQueue, container, ref, !vnode.isRootInsert, children, i);
+    }
+
+    insertNode(parentElm, vnode.anchor, refElm);
+    vnode.elm._fragment = vnode;
+  }
+
+  /* => 更新传送门：先在原来的位置更新子节点，目标（ to / disabled ）变化时再将子节点整体移动 */
+  function patchTeleport(oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const oldTeleport = oldVnode.data.teleport;
+    const teleport = vnode.data.teleport;
+    const oldCh = oldVnode.children;
+    const ch = vnode.children;
+
+    const wasTeleported = isDef(oldTeleport.target);
+    const container = wasTeleported ? oldTeleport.target : nodeOps.parentNode(vnode.elm);
+    if (oldCh !== ch) updateChildren(container, oldCh, ch, insertedVnodeQueue, removeOnly, wasTeleported ? oldTeleport.targetAnchor : vnode.anchor);
+
+    if (teleport.to === oldTeleport.to && teleport.disabled === oldTeleport.disabled) {
+      teleport.target = oldTeleport.target;
+      teleport.targetAnchor = oldTeleport.targetAnchor;
+      return;
+    }
+
+    let newContainer = nodeOps.parentNode(vnode.elm);
+    let ref = vnode.anchor;
+    if ((teleport.target = resolveTeleportTarget(vnode))) {
+      createTeleportAnchor(teleport);
+      newContainer = teleport.target;
+      ref = teleport.targetAnchor;
+    }
+    for (let i = 0; i < ch.length; i++) moveElm(newContainer, ch[i].elm, ref);
+    if (wasTeleported) removeSingleNode(oldTeleport.targetAnchor);
+  }
+
   /* => 创建组件 */
   function createComponent(vnode, insertedVnodeQueue, parentElm, refElm) {
     let i = vnode.data;
@@ -263,8 +448,17 @@ export function createPatchFunction(backend) {
     insert(parentElm, vnode.elm, refElm);
   }
 
-  /* => 插入函数 */
+  /* => 插入函数（片段会依次插入起始锚点、子节点和结束锚点） */
   function insert(parent, elm, ref) {
+    if (isDef(parent) && isDef(elm._fragment)) {
+      const nodes = getFragmentNodes(elm._fragment);
+      for (let i = 0; i < nodes.length; i++) insertNode(parent, nodes[i], ref);
+    } else {
+      insertNode(parent, elm, ref);
+    }
+  }
+
+  function insertNode(parent, elm, ref) {
     if (isDef(parent)) {
       if (isDef(ref)) {
         if (nodeOps.parentNode(ref) === parent) nodeOps.insertBefore(parent, elm, ref);
@@ -362,8 +556,8 @@ export function createPatchFunction(backend) {
     for (; startIdx <= endIdx; ++startIdx) {
       const ch = vnodes[startIdx];
       if (isDef(ch)) {
-        // => 有 tag 属性说明是元素节点
-        if (isDef(ch.tag)) {
+        // => 有 tag 属性说明是元素节点（片段同样需要调用子节点的销毁钩子）
+        if (isDef(ch.tag) || isTrue(ch.isFragment)) {
           removeAndInvokeRemoveHook(ch);
           invokeDestroyHook(ch);
         } else {
@@ -403,7 +597,8 @@ export function createPatchFunction(backend) {
   }
 
   /* => 更新子节点（核心），diff算法核心 */
-  function updateChildren(parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  /* => endElm 为新增节点的默认参照节点（片段的结束锚点），否则追加到父元素末尾 */
+  function updateChildren(parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endElm) {
     let oldStartIdx = 0; // => old 节点头指针
     let oldEndIdx = oldCh.length - 1; // => old 节点尾指针
     let oldStartVnode = oldCh[0]; // => old 节点头节点
@@ -450,7 +645,7 @@ export function createPatchFunction(backend) {
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx);
 
         /* => 参数：父元素、new 节点、参照节点（ old 尾结点的下一个节点） */
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm));
+        canMove && moveElm(parentElm, oldStartVnode.elm, nextSiblingOf(oldEndVnode.elm));
 
         /* => 将 old 头结点 => 往右移 & 将 new 尾结点 => 往左移 */
         oldStartVnode = oldCh[++oldStartIdx];
@@ -461,7 +656,7 @@ export function createPatchFunction(backend) {
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx);
 
         /* => 参数：父元素、new 节点、参照节点（ old 头结点） */
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm);
+        canMove && moveElm(parentElm, oldEndVnode.elm, oldStartVnode.elm);
 
         /* => 将 old 尾结点 => 往左移 && 将 new 头结点 => 往右移 */
         oldEndVnode = oldCh[--oldEndIdx];
@@ -492,7 +687,7 @@ export function createPatchFunction(backend) {
             oldCh[idxInOld] = undefined;
 
             /* => 参数：父元素、new 节点、参照节点（ old 头结点） */
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm);
+            canMove && moveElm(parentElm, vnodeToMove.elm, oldStartVnode.elm);
           } else {
             // same key but different element. treat as new element => 相同的键，但不同的元素。视为新元素
             createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx);
@@ -506,7 +701,7 @@ export function createPatchFunction(backend) {
 
     /* => 6.如果 old 头指针超过了 old 尾指针，diff结束，增加新节点（...） */
     if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm;
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endElm : newCh[newEndIdx + 1].elm;
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue);
     } else if (newStartIdx > newEndIdx) {
       /* => 7.如果 new 头指针超过了 new 尾指针，diff结束，从 old 节点中的 old 头指针开始到 old 尾指针结束之间清除节点 */
@@ -527,7 +722,7 @@ export function createPatchFunction(backend) {
         /* => 且在缓存对象中已存在，抛出警告 */
         if (seenKeys[key]) {
           /* => 检测到重复键： key 。这可能会导致更新错误。 */
-          warn(`Duplicate keys detected: '${ key }'. This may cause an update error.`, vnode.context);
+          warn(`Duplicate keys detected: '${ key }'. This may cause an update error.`, vnode.context, 'VUE_DUPLICATE_KEYS', { key });
         } else {
           /* => 不存在则存入缓存对象，值标记为 true */
           seenKeys[key] = true;
@@ -595,8 +790,18 @@ export function createPatchFunction(backend) {
       if (isDef((i = data.hook)) && isDef((i = i.update))) i(oldVnode, vnode);
     }
 
-    /* => 如果 new 节点不是文本，说明有子节点，做子节点更新操作 */
-    if (isUndef(vnode.text)) {
+    if (isTrue(vnode.isFragment)) {
+      // => 片段：在起止锚点之间更新子节点
+      vnode.anchor = oldVnode.anchor;
+      elm._fragment = vnode;
+      if (isTrue(vnode.isTeleport)) {
+        patchTeleport(oldVnode, vnode, insertedVnodeQueue, removeOnly);
+      } else if (oldCh !== ch) {
+        updateChildren(nodeOps.parentNode(elm), oldCh, ch, insertedVnodeQueue, removeOnly, vnode.anchor);
+      }
+
+      /* => 如果 new 节点不是文本，说明有子节点，做子节点更新操作 */
+    } else if (isUndef(vnode.text)) {
       /* => 1.如果都存在 */
       if (isDef(oldCh) && isDef(ch)) {
         /* => 且两者不相同，直接执行更新子节点操作 */
@@ -649,10 +854,169 @@ export function createPatchFunction(backend) {
   /* => 注意：样式被排除，因为它依赖于初始克隆进行将来的深层更新 */
   const isRenderedModule = makeMap('attrs,class,staticClass,staticStyle,key');
 
+  /* => 是否校验节点匹配 | 生产环境下仅在配置了不匹配处理程序或局部恢复时才校验 */
+  function shouldAssertHydration() {
+    return process.env.NODE_ENV !== 'production' || isDef(config.hydrationMismatchHandler) || config.hydrationRecovery === 'partial';
+  }
+
+  /* => 上报混合不匹配（开发和生产环境） */
+  function reportHydrationMismatch(type, node, vnode, vm, expected, actual, diffs) {
+    const handler = config.hydrationMismatchHandler;
+    if (handler) handler(createHydrationMismatchReport(type, node, vnode, vm, expected, actual, diffs));
+  }
+
+  /* => 深度混合校验：由各平台模块的 hydrate 钩子比较属性、类名和内联样式 */
+  function checkHydratedModules(elm, vnode, vm) {
+    const shouldPatch = config.hydrationCheck === 'patch';
+    for (let i = 0; i < cbs.hydrate.length; ++i) {
+      const mismatch = cbs.hydrate[i](vnode, shouldPatch);
+      if (!mismatch || !mismatch.diffs.length) continue;
+
+      reportHydrationMismatch(mismatch.type, elm, vnode, vm, undefined, undefined, mismatch.diffs);
+      if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `Hydration ${mismatch.type} mismatch on <${vnode.tag}>: ` +
+          mismatch.diffs.map((d) => `${d.name} (server: ${String(d.actual)}, client: ${String(d.expected)})`).join(', '),
+          vm,
+          'VUE_HYDRATION_ATTRS_MISMATCH',
+          { type: mismatch.type, diffs: mismatch.diffs, node: elm },
+        );
+      }
+    }
+  }
+
+  /* => 子节点数量不匹配 */
+  function reportChildrenMismatch(elm, vnode, vm) {
+    reportHydrationMismatch(
+      'children',
+      elm,
+      vnode,
+      vm,
+      { tag: vnode.tag, childCount: vnode.children.length },
+      { tag: elm.tagName.toLowerCase(), childCount: elm.childNodes.length },
+    );
+  }
+
+  /* => 局部恢复：销毁已混合的部分，在服务端节点之前创建客户端子树，然后移除服务端节点，返回下一个待混合的服务端节点 */
+  function recreateHydratingNode(parentElm, node, children, index, insertedVnodeQueue) {
+    if (process.env.NODE_ENV !== 'production' && !hydrationBailed) {
+      hydrationBailed = true;
+      warn(
+        'The client-side rendered virtual DOM tree is not matching ' +
+        'server-rendered content. Re-creating the mismatching subtree.',
+        children[index].context,
+        'VUE_HYDRATION_MISMATCH',
+        { node },
+      );
+    }
+    if (isFragmentAnchor(node, FRAGMENT_START)) markServerFragment(node);
+    const next = nextSiblingOf(node);
+    // => 销毁子树中已经混合的组件实例（移除观察者，并从 $parent.$children 中移除）
+    invokeDestroyHook(children[index]);
+    createElm(children[index], insertedVnodeQueue, parentElm, node, true, children, index);
+    removeNode(node);
+    return next;
+  }
+
+  /* => 混合片段 */
+  function hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre, vm) {
+    const isTeleport = isTrue(vnode.isTeleport);
+    if (!isFragmentAnchor(elm, isTeleport ? TELEPORT_START : FRAGMENT_START)) {
+      reportHydrationMismatch('node-type', elm, vnode, vm, { tag: '#fragment' });
+      return false;
+    }
+
+    let childNode = nodeOps.nextSibling(elm);
+    const children = vnode.children;
+    if (isTeleport && (vnode.data.teleport.target = resolveTeleportTarget(vnode))) {
+      if (!hydrateTeleportTarget(vnode, insertedVnodeQueue, inVPre, vm)) return false;
+    } else {
+      for (let i = 0; i < children.length; i++) {
+        if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre, vm)) return false;
+        childNode = nextSiblingOf(children[i].elm);
+      }
+    }
+    if (!isFragmentAnchor(childNode, isTeleport ? TELEPORT_END : FRAGMENT_END)) {
+      reportHydrationMismatch('children', elm, vnode, vm, { tag: '#fragment', childCount: children.length });
+      return false;
+    }
+
+    vnode.anchor = childNode;
+    elm._fragment = vnode;
+    return true;
+  }
+
+  /**
+   * => 混合传送到目标容器中的内容
+   * 同一目标中的多个传送门按渲染顺序依次排列，各自以目标锚点结尾，目标容器上记录下一个待混合的节点
+   */
+  function hydrateTeleportTarget(vnode, insertedVnodeQueue, inVPre, vm) {
+    const teleport = vnode.data.teleport;
+    const target = teleport.target;
+    const children = vnode.children;
+    let node = target._teleportCursor === undefined ? target.firstChild : target._teleportCursor;
+    for (let i = 0; i < children.length; i++) {
+      if (!node || !hydrate(node, children[i], insertedVnodeQueue, inVPre, vm)) return false;
+      node = nextSiblingOf(children[i].elm);
+    }
+    if (!isFragmentAnchor(node, TELEPORT_ANCHOR)) {
+      reportHydrationMismatch('children', target, vnode, vm, { tag: '#teleport', childCount: children.length });
+      return false;
+    }
+
+    teleport.targetAnchor = node;
+    target._teleportCursor = nodeOps.nextSibling(node);
+    return true;
+  }
+
+  /* => 按组件的 hydrate 选项延迟混合，服务端 DOM 在触发前保持不变。不能延迟时返回 false */
+  function deferHydration(elm, vnode) {
+    const strategy = getHydrationStrategy(vnode);
+    if (!strategy) return false;
+
+    const pending = { vnode, parent: activeInstance, cancel: noop };
+    const cancel = scheduleHydration(strategy, elm, () => hydrateDeferred(pending));
+    if (!cancel) return false;
+
+    // => 根节点为片段的组件：标记服务端渲染的片段范围，以便父级跳过整个片段继续混合
+    if (isFragmentAnchor(elm, FRAGMENT_START)) markServerFragment(elm);
+
+    pending.cancel = cancel;
+    vnode.data.pendingHydration = pending;
+    return true;
+  }
+
+  /* => 触发懒混合：使用最新的占位节点创建组件实例并混合其子树 */
+  function hydrateDeferred(pending) {
+    const vnode = pending.vnode;
+    const insertedVnodeQueue = [];
+    vnode.data.pendingHydration = undefined;
+
+    const restoreActiveInstance = setActiveInstance(pending.parent);
+    vnode.data.hook.init(vnode, true /* hydrating */);
+    restoreActiveInstance();
+
+    initComponent(vnode, insertedVnodeQueue);
+    invokeInsertHook(vnode, insertedVnodeQueue, false);
+  }
+
+  /* => asyncSetup 完成后混合组件（挂载被推迟，见 mountComponent ），使用最新的占位节点 */
+  function deferAsyncSetupHydration(child) {
+    child._asyncSetup.then(() => {
+      if (child._isDestroyed) return;
+      const vnode = child.$vnode;
+      const insertedVnodeQueue = [];
+      child.$mount(vnode.elm, true /* hydrating */);
+      initComponent(vnode, insertedVnodeQueue);
+      invokeInsertHook(vnode, insertedVnodeQueue, false);
+    });
+  }
+
   /* => 注意：这是一个仅限浏览器的函数，因此我们可以假设 elm 是 DOM 节点。 */
-  function hydrate(elm, vnode, insertedVnodeQueue, inVPre) {
+  function hydrate(elm, vnode, insertedVnodeQueue, inVPre, owner) {
     let i;
     const { tag, data, children } = vnode;
+    const vm = vnode.context || owner;
     inVPre = inVPre || (data && data.pre);
     vnode.elm = elm;
 
@@ -661,12 +1025,25 @@ export function createPatchFunction(backend) {
       return true;
     }
 
+    // => 片段：服务端渲染的起止锚点注释之间依次混合子节点
+    if (isTrue(vnode.isFragment)) return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre, vm);
+
     // => 维护节点匹配
-    if (process.env.NODE_ENV !== 'production' && !assertNodeMatch(elm, vnode, inVPre)) return false;
+    if (shouldAssertHydration() && !assertNodeMatch(elm, vnode, inVPre)) {
+      reportHydrationMismatch(isDef(tag) && elm.nodeType === 1 ? 'tag' : 'node-type', elm, vnode, vm);
+      return false;
+    }
 
     if (isDef(data)) {
+      // => 懒混合的组件：保留服务端 DOM，等待触发
+      if (isDef(vnode.componentOptions) && deferHydration(elm, vnode)) return true;
       if (isDef((i = data.hook)) && isDef((i = i.init))) i(vnode, true /* hydrating */);
       if (isDef((i = vnode.componentInstance))) {
+        // => asyncSetup 尚未完成的组件：保留服务端 DOM，数据就绪后再混合
+        if (isTrue(i._asyncPending)) {
+          deferAsyncSetupHydration(i);
+          return true;
+        }
         // => 子组件，它应该有自己的混合树。
         initComponent(vnode, insertedVnodeQueue);
         return true;
@@ -681,6 +1058,7 @@ export function createPatchFunction(backend) {
           // v-html and domProps: innerHTML
           if (isDef((i = data)) && isDef((i = i.domProps)) && isDef((i = i.innerHTML))) {
             if (i !== elm.innerHTML) {
+              reportHydrationMismatch('innerHTML', elm, vnode, vm, { tag, html: i }, { tag: elm.tagName.toLowerCase(), html: elm.innerHTML });
               if (process.env.NODE_ENV !== 'production' && typeof console !== 'undefined' && !hydrationBailed) {
                 hydrationBailed = true;
                 console.warn('Parent: ', elm);
@@ -691,17 +1069,45 @@ export function createPatchFunction(backend) {
             }
           } else {
             // => 迭代和比较子列表
+            const partial = config.hydrationRecovery === 'partial';
             let childrenMatch = true;
             let childNode = elm.firstChild;
             for (let i = 0; i < children.length; i++) {
-              if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+              if (!childNode) {
+                // => 实际的 childNodes 列表比虚拟的子列表要短，局部恢复时直接创建剩余的子节点
+                reportChildrenMismatch(elm, vnode, vm);
+                if (partial) {
+                  for (; i < children.length; i++) createElm(children[i], insertedVnodeQueue, elm, null, true, children, i);
+                } else {
+                  childrenMatch = false;
+                }
+                break;
+              }
+              if (hydrate(childNode, children[i], insertedVnodeQueue, inVPre, vm)) {
+                // => 以 vnode 的 elm 为准：子组件混合失败时会替换服务端节点，根节点为片段时需要跳过整个片段
+                childNode = nextSiblingOf(children[i].elm);
+              } else if (partial) {
+                childNode = recreateHydratingNode(elm, childNode, children, i, insertedVnodeQueue);
+              } else {
                 childrenMatch = false;
                 break;
               }
-              childNode = childNode.nextSibling;
             }
             // => 如果 childNode 不为空，这意味着实际的 childNodes 列表比虚拟的子列表要长。
-            if (!childrenMatch || childNode) {
+            if (childrenMatch && childNode) {
+              reportChildrenMismatch(elm, vnode, vm);
+              if (partial) {
+                // => 局部恢复：移除多余的服务端节点
+                while (childNode) {
+                  const next = nodeOps.nextSibling(childNode);
+                  nodeOps.removeChild(elm, childNode);
+                  childNode = next;
+                }
+              } else {
+                childrenMatch = false;
+              }
+            }
+            if (!childrenMatch) {
               if (process.env.NODE_ENV !== 'production' && typeof console !== 'undefined' && !hydrationBailed) {
                 hydrationBailed = true;
                 console.warn('Parent: ', elm);
@@ -713,6 +1119,8 @@ export function createPatchFunction(backend) {
         }
       }
       if (isDef(data)) {
+        if (config.hydrationCheck) checkHydratedModules(elm, vnode, vm);
+
         let fullInvoke = false;
         for (const key in data) {
           if (!isRenderedModule(key)) {
@@ -727,6 +1135,7 @@ export function createPatchFunction(backend) {
         }
       }
     } else if (elm.data !== vnode.text) {
+      reportHydrationMismatch('text', elm, vnode, vm);
       elm.data = vnode.text;
     }
     return true;
@@ -805,6 +1214,8 @@ export function createPatchFunction(backend) {
                 'HTML markup, for example nesting block-level elements inside ' +
                 '<p>, or missing <tbody>. Bailing hydration and performing ' +
                 'full client-side render.',
+                null,
+                'VUE_HYDRATION_MISMATCH',
               );
             }
           }
@@ -831,7 +1242,7 @@ export function createPatchFunction(backend) {
           insertedVnodeQueue,
           /* => 极为罕见的边缘情况：如果旧元素处于离开转换中，请不要插入。只有在组合transition + keep alive + hooks 时才会发生。 */
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm),
+          nextSiblingOf(oldElm),
         );
 
         // => 递归更新父元素里的占位符节点元素（替换插值文本为真实数据）
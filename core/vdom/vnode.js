@@ -7,6 +7,7 @@
  * 4.元素节点
  * 5.组件节点
  * 6.函数式组件
+ * 7.片段节点（多根组件的根节点）
  */
 export default class VNode {
   tag: string | void;
@@ -31,6 +32,9 @@ export default class VNode {
   asyncFactory: Function | void; // => 异步组件工厂函数
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isFragment: boolean; // => 是片段节点吗？ elm 为起始锚点
+  isTeleport: boolean; // => 是传送门节点吗？（同时也是片段节点）
+  anchor: Node | void; // => 片段的结束锚点
   ssrContext: Object | void;
   fnContext: Component | void; // => 功能节点的真实上下文 vm
   fnOptions: ?ComponentOptions; // => 用于 SSR 缓存
@@ -70,6 +74,9 @@ export default class VNode {
     this.asyncFactory = asyncFactory;
     this.asyncMeta = undefined;
     this.isAsyncPlaceholder = false;
+    this.isFragment = false;
+    this.isTeleport = false;
+    this.anchor = undefined;
   }
 
   // => 已弃用：用于向后兼容的组件安装的别名。
@@ -97,6 +104,27 @@ export function createTextVNode(val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val));
 }
 
+/* => 创建片段节点（多根组件的根节点），子节点依次渲染在起止两个锚点之间 */
+export function createFragmentVNode(children: Array<VNode>) {
+  const node = new VNode(undefined, undefined, children);
+
+  // => 标识为片段节点
+  node.isFragment = true;
+
+  return node;
+}
+
+/* => 创建传送门节点：原位置只保留起止锚点，子节点渲染到 to 指定的目标容器中（禁用时渲染在原位置） */
+export function createTeleportVNode(children: Array<VNode>, to: string | Element, disabled: boolean) {
+  const node = createFragmentVNode(children);
+  node.data = { teleport: { to, disabled } };
+
+  // => 标识为传送门节点
+  node.isTeleport = true;
+
+  return node;
+}
+
 /**
  * => 优化的浅克隆。用于静态节点和插槽节点，因为它们可以在多个渲染中重用，克隆它们可以避免 DOM 操作依赖于 elm 引用时的错误。
  *
@@ -124,6 +152,8 @@ export function cloneVNode(vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic;
   cloned.key = vnode.key;
   cloned.isComment = vnode.isComment;
+  cloned.isFragment = vnode.isFragment;
+  cloned.isTeleport = vnode.isTeleport;
   cloned.fnContext = vnode.fnContext;
   cloned.fnOptions = vnode.fnOptions;
   cloned.fnScopeId = vnode.fnScopeId;
@@ -24,7 +24,7 @@ Vue.prototype.$mount = function (el?: string | Element, hydrating?: boolean): Co
 
   if (el === document.body || el === document.documentElement) {
     // => 不要将 Vue 装载到 <html> 或 <body> -- 而是装载到普通元素
-    process.env.NODE_ENV !== 'production' && warn(`Do not mount Vue to <html> or <body> - mount to normal elements instead.`);
+    process.env.NODE_ENV !== 'production' && warn(`Do not mount Vue to <html> or <body> - mount to normal elements instead.`, this, 'VUE_MOUNT_ON_ROOT_ELEMENT', { el });
     return this;
   }
 
@@ -47,14 +47,14 @@ Vue.prototype.$mount = function (el?: string | Element, hydrating?: boolean): Co
           template = idToTemplate(template);
 
           // => 模板元素未找到或为空元素
-          if (process.env.NODE_ENV !== 'production' && !template) warn(`Template element not found or is empty: ${options.template}`, this);
+          if (process.env.NODE_ENV !== 'production' && !template) warn(`Template element not found or is empty: ${options.template}`, this, 'VUE_TEMPLATE_NOT_FOUND', { template: options.template });
         }
       } else if (template.nodeType) {
         // => 如果模板的节点类型存在，则说明他是 DOM 节点。拿到其里面的 HTML 内容
         template = template.innerHTML;
       } else {
         // => 模板既不是元素节点也不是字符串。=> 模板选项无效
-        if (process.env.NODE_ENV !== 'production') warn(`invalid template option: ${template}`, this);
+        if (process.env.NODE_ENV !== 'production') warn(`invalid template option: ${template}`, this, 'VUE_INVALID_TEMPLATE', { template });
 
         return this;
       }
@@ -10,11 +10,15 @@ import { isUnaryTag, canBeLeftOpenTag } from './compiler/util';
 import { createRenderer as _createRenderer } from 'server/create-renderer';
 import { createBundleRendererCreator } from 'server/bundle-renderer/create-bundle-renderer';
 
+export { RenderTimeoutError } from 'server/render-abort';
+
 export function createRenderer(
   options?: Object = {},
 ): {
   renderToString: Function,
   renderToStream: Function,
+  renderToWebStream: Function,
+  pipeToWebWritable: Function,
 } {
   return _createRenderer(
     extend(extend({}, options), {
@@ -60,7 +60,7 @@ export default {
           const name: string = opts ? opts.Ctor.options.name || opts.tag || '' : c.tag;
 
           // => 必须为 <transition-group> 子项设置键：name
-          warn(`<transition-group> children must be keyed: <${ name }>`);
+          warn(`<transition-group> children must be keyed: <${ name }>`, this, 'VUE_TRANSITION_INVALID_CHILDREN', { tag: name });
         }
       }
     }
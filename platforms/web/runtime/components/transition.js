@@ -78,14 +78,14 @@ export default {
 
     // => <transition> 只能在单个元素上使用，将 <transition-group> 用于列表
     if (process.env.NODE_ENV !== 'production' && children.length > 1) {
-      warn('<transition> can only be used on a single element. Use <transition-group> for lists.', this.$parent);
+      warn('<transition> can only be used on a single element. Use <transition-group> for lists.', this.$parent, 'VUE_TRANSITION_INVALID_CHILDREN');
     }
 
     const mode: string = this.mode;
 
     // => 无效的 <transition> 模式:
     if (process.env.NODE_ENV !== 'production' && mode && mode !== 'in-out' && mode !== 'out-in') {
-      warn(`invalid <transition> mode: ${ mode }`, this.$parent);
+      warn(`invalid <transition> mode: ${ mode }`, this.$parent, 'VUE_TRANSITION_INVALID_MODE', { mode });
     }
 
     const rawChild: VNode = children[0];
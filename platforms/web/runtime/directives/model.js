@@ -67,7 +67,9 @@ function actuallySetSelected(el, binding, vm) {
   if (isMultiple && !Array.isArray(value)) {
     process.env.NODE_ENV !== 'production' &&
     // => 下拉框多选属性的 v-model 期望一个数组值作为它的绑定，但是得到了：value
-    warn(`<select multiple v-model="${ binding.expression }"> expects an Array value for its binding, but got ${ typeof value }`, vm);
+    warn(`<select multiple v-model="${ binding.expression }"> expects an Array value for its binding, but got ${ typeof value }`, vm, 'VUE_V_MODEL_INVALID_VALUE', {
+      expression: binding.expression,
+    });
     return;
   }
 
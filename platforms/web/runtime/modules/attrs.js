@@ -2,6 +2,8 @@ import { isIE, isIE9, isEdge } from 'core/util/env';
 
 import { extend, isDef, isUndef } from 'shared/util';
 
+import type { HydrationModuleMismatch } from 'core/vdom/helpers/hydration-mismatch';
+
 import {
   isXlink,
   xlinkNS,
@@ -92,4 +94,33 @@ function baseSetAttr(el, key, value) {
   }
 }
 
-export default { create: updateAttrs, update: updateAttrs };
+/* => 属性在 DOM 上的期望值（与 setAttr 的规则一致），null 表示不应存在 */
+function getExpectedAttr(el: Element, key: string, value: any): ?string {
+  if (el.tagName.indexOf('-') < 0 && isBooleanAttr(key)) {
+    return isFalsyAttrValue(value) ? null : key === 'allowfullscreen' && el.tagName === 'EMBED' ? 'true' : key;
+  }
+  if (el.tagName.indexOf('-') < 0 && isEnumeratedAttr(key)) return convertEnumeratedValue(key, value);
+
+  return isFalsyAttrValue(value) ? null : String(value);
+}
+
+/* => 深度混合校验：只比较 vnode 声明的属性，布尔属性只比较是否存在 */
+function hydrateAttrs(vnode: VNodeWithData, shouldPatch: boolean): ?HydrationModuleMismatch {
+  const attrs = vnode.data.attrs;
+  if (isUndef(attrs)) return;
+
+  const el: any = vnode.elm;
+  const diffs = [];
+  for (const key in attrs) {
+    const expected = getExpectedAttr(el, key, attrs[key]);
+    const actual = isXlink(key) ? el.getAttributeNS(xlinkNS, getXlinkProp(key)) : el.getAttribute(key);
+    const matched = isBooleanAttr(key) && el.tagName.indexOf('-') < 0 ? (expected === null) === (actual === null) : expected === actual;
+    if (matched) continue;
+
+    diffs.push({ name: key, expected, actual });
+    if (shouldPatch) setAttr(el, key, attrs[key]);
+  }
+  return { type: 'attrs', diffs };
+}
+
+export default { create: updateAttrs, update: updateAttrs, hydrate: hydrateAttrs };
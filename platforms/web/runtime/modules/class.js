@@ -2,6 +2,8 @@ import { isDef, isUndef } from 'shared/util';
 
 import { concat, stringifyClass, genClassForVnode } from 'web/util/index';
 
+import type { HydrationModuleMismatch } from 'core/vdom/helpers/hydration-mismatch';
+
 function updateClass(oldVnode: any, vnode: any) {
   const el = vnode.elm;
   const data: VNodeData = vnode.data;
@@ -23,4 +25,21 @@ function updateClass(oldVnode: any, vnode: any) {
   }
 }
 
-export default { create: updateClass, update: updateClass };
+/* => 深度混合校验：类名顺序无关 */
+function hydrateClass(vnode: any, shouldPatch: boolean): ?HydrationModuleMismatch {
+  const el = vnode.elm;
+  const expected = genClassForVnode(vnode);
+  const actual = el.getAttribute('class') || '';
+  if (expected === actual) return;
+
+  const normalizeClass = (cls) => cls.split(/\s+/).filter(Boolean).sort().join(' ');
+  if (normalizeClass(expected) === normalizeClass(actual)) return;
+
+  if (shouldPatch) {
+    el.setAttribute('class', expected);
+    el._prevClass = expected;
+  }
+  return { type: 'class', diffs: [{ name: 'class', expected, actual: el.hasAttribute('class') ? actual : null }] };
+}
+
+export default { create: updateClass, update: updateClass, hydrate: hydrateClass };
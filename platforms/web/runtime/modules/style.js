@@ -1,5 +1,6 @@
 import { getStyle, normalizeStyleBinding } from 'web/util/style';
 import { cached, camelize, extend, isDef, isUndef, hyphenate } from 'shared/util';
+import type { HydrationModuleMismatch } from 'core/vdom/helpers/hydration-mismatch';
 
 const cssVarRE = /^--/;
 const importantRE = /\s*!important$/;
@@ -67,4 +68,38 @@ function updateStyle(oldVnode: VNodeWithData, vnode: VNodeWithData) {
   }
 }
 
-export default { create: updateStyle, update: updateStyle };
+/* => 读取元素上样式属性的值（经浏览器规范化） */
+const getProp = (el, name) => {
+  if (cssVarRE.test(name)) return el.style.getPropertyValue(name).trim();
+  const normalizedName = normalize(name);
+  return normalizedName ? el.style[normalizedName] : '';
+};
+
+let scratchEl;
+
+/* => 深度混合校验：将期望的样式写入临时元素，与服务端元素上经浏览器规范化后的值比较 */
+function hydrateStyle(vnode: VNodeWithData, shouldPatch: boolean): ?HydrationModuleMismatch {
+  const data = vnode.data;
+  if (isUndef(data.staticStyle) && isUndef(data.style)) return;
+
+  const el: any = vnode.elm;
+  const style = getStyle(vnode, true);
+  const diffs = [];
+  scratchEl = scratchEl || document.createElement('div');
+  for (const name in style) {
+    const cur = style[name];
+    if (cur == null) continue;
+
+    setProp(scratchEl, name, cur);
+    const expected = getProp(scratchEl, name);
+    const actual = getProp(el, name);
+    scratchEl.style.cssText = '';
+    if (expected === actual) continue;
+
+    diffs.push({ name: hyphenate(name), expected: expected || null, actual: actual || null });
+    if (shouldPatch) setProp(el, name, cur);
+  }
+  return { type: 'style', diffs };
+}
+
+export default { create: updateStyle, update: updateStyle, hydrate: hydrateStyle };
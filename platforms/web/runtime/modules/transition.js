@@ -227,9 +227,15 @@ export function leave(vnode: VNodeWithData, rm: Function) {
 // => 仅在开发模式下使用
 function checkDuration(val, name, vnode) {
   if (typeof val !== 'number') {
-    warn(`<transition> explicit ${ name } duration is not a valid number - ` + `got ${ JSON.stringify(val) }.`, vnode.context);
+    warn(`<transition> explicit ${ name } duration is not a valid number - ` + `got ${ JSON.stringify(val) }.`, vnode.context, 'VUE_TRANSITION_INVALID_DURATION', {
+      name,
+      value: val,
+    });
   } else if (isNaN(val)) {
-    warn(`<transition> explicit ${ name } duration is NaN - ` + 'the duration expression might be incorrect.', vnode.context);
+    warn(`<transition> explicit ${ name } duration is NaN - ` + 'the duration expression might be incorrect.', vnode.context, 'VUE_TRANSITION_INVALID_DURATION', {
+      name,
+      value: val,
+    });
   }
 }
 
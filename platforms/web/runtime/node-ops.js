@@ -54,6 +54,11 @@ export function setTextContent(node: Node, text: string) {
   node.textContent = text;
 }
 
+/* => 查询元素（用于解析传送门的目标容器） */
+export function querySelector(selector: string): ?Element {
+  return document.querySelector(selector);
+}
+
 export function setStyleScope(node: Element, scopeId: string) {
   node.setAttribute(scopeId, '');
 }
@@ -12,7 +12,7 @@ export function query(el: string | Element): Element {
 
     // => 找不到该元素就创建一个空div标签
     if (!selected) {
-      process.env.NODE_ENV !== 'production' && warn('Cannot find element: ' + el);
+      process.env.NODE_ENV !== 'production' && warn('Cannot find element: ' + el, null, 'VUE_ELEMENT_NOT_FOUND', { selector: el });
       return document.createElement('div');
     }
 
@@ -139,6 +139,9 @@ export function createBundleRendererCreator(createRenderer: (options?: RenderOpt
 
         return res;
       },
+
+      invalidateTags: renderer.invalidateTags,
+      getEarlyHints: renderer.getEarlyHints,
     };
   };
 }
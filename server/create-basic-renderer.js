@@ -9,8 +9,9 @@ export function createBasicRenderer({
   directives = {},
   isUnaryTag = () => false,
   cache,
+  timeout,
 }: RenderOptions = {}) {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache);
+  const render = createRenderFunction(modules, directives, isUnaryTag, cache, timeout);
 
   return function renderToString(component: Component, context: any, done: any): void {
     if (typeof context === 'function') {
@@ -23,7 +24,8 @@ export function createBasicRenderer({
       return false;
     }, done);
     try {
-      render(component, write, context, () => {
+      render(component, write, context, err => {
+        if (err) return done(err);
         done(null, result);
       });
     } catch (e) {
@@ -1,15 +1,21 @@
 /* @flow */
 
 import RenderStream from './render-stream';
+import { createRenderWebStream } from './render-web-stream';
 import { createWriteFunction } from './write';
 import { createRenderFunction } from './render';
 import { createPromiseCallback } from './util';
+import { RenderTimeoutError } from './render-abort';
 import TemplateRenderer from './template-renderer/index';
-import type { ClientManifest } from './template-renderer/index';
+import type { ClientManifest, CriticalCSS } from './template-renderer/index';
 
 export type Renderer = {
   renderToString: (component: Component, context: any, cb: any) => ?Promise<string>,
   renderToStream: (component: Component, context?: Object) => stream$Readable,
+  renderToWebStream: (component: Component, context?: Object) => ReadableStream,
+  pipeToWebWritable: (component: Component, context: ?Object, writable: WritableStream) => Promise<void>,
+  invalidateTags: (tags: string | Array<string>) => void,
+  getEarlyHints: (context?: Object) => { link: Array<string> },
 };
 
 type RenderCache = {
@@ -29,8 +35,12 @@ export type RenderOptions = {
   shouldPreload?: Function,
   shouldPrefetch?: Function,
   clientManifest?: ClientManifest,
+  criticalCSS?: CriticalCSS,
   serializer?: Function,
   runInNewContext?: boolean | 'once',
+  outOfOrder?: boolean,
+  timeout?: number,
+  clientOnlyShell?: string,
 };
 
 export function createRenderer({
@@ -43,18 +53,47 @@ export function createRenderer({
   shouldPreload,
   shouldPrefetch,
   clientManifest,
+  criticalCSS,
   serializer,
+  outOfOrder,
+  timeout,
+  clientOnlyShell,
 }: RenderOptions = {}): Renderer {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache);
+  const render = createRenderFunction(modules, directives, isUnaryTag, cache, timeout);
   const templateRenderer = new TemplateRenderer({
     template,
     inject,
     shouldPreload,
     shouldPrefetch,
     clientManifest,
+    criticalCSS,
     serializer,
   });
 
+  const renderToWebStream = (component: Component, context?: Object): ReadableStream => {
+    if (typeof template === 'function') {
+      throw new Error(`function template is only supported in renderToString.`);
+    }
+    if (context) {
+      templateRenderer.bindRenderFns(context);
+    }
+    const userContext = context || {};
+    const parsedTemplate: any = templateRenderer.parsedTemplate;
+    return createRenderWebStream(
+      (write, done) => {
+        const controller = render(component, write, context, done, outOfOrder);
+        return reason => controller.abort(null, reason);
+      },
+      {
+        head: parsedTemplate ? () => templateRenderer.renderStreamHead(parsedTemplate, userContext) : undefined,
+        beforeEnd: () => {
+          if (userContext.rendered) userContext.rendered(userContext);
+        },
+        tail: parsedTemplate ? () => templateRenderer.renderStreamTail(parsedTemplate, userContext) : undefined,
+      },
+    );
+  };
+
   return {
     renderToString(component: Component, context: any, cb: any): ?Promise<string> {
       if (typeof context === 'function') {
@@ -79,9 +118,17 @@ export function createRenderer({
       try {
         render(component, write, context, err => {
           if (err) {
-            return cb(err);
-          }
-          if (context && context.rendered) {
+            // timed out / aborted: optionally respond with a shell that the
+            // client mounts from scratch, instead of failing the request
+            if (!(err instanceof RenderTimeoutError) || typeof clientOnlyShell !== 'string') {
+              return cb(err);
+            }
+            result = clientOnlyShell;
+            if (context) {
+              context.clientOnly = true;
+              context.renderError = err;
+            }
+          } else if (context && context.rendered) {
             context.rendered(context);
           }
           if (template) {
@@ -111,8 +158,10 @@ export function createRenderer({
       if (context) {
         templateRenderer.bindRenderFns(context);
       }
+      // out-of-order streaming only applies to streams, renderToString always
+      // waits for the whole tree
       const renderStream = new RenderStream((write, done) => {
-        render(component, write, context, done);
+        render(component, write, context, done, outOfOrder);
       });
       if (!template) {
         if (context && context.rendered) {
@@ -139,5 +188,22 @@ export function createRenderer({
         return templateStream;
       }
     },
+
+    renderToWebStream,
+
+    // resolves once the whole page has been written, rejects on render errors
+    pipeToWebWritable(component: Component, context: ?Object, writable: WritableStream): Promise<void> {
+      return renderToWebStream(component, context || undefined).pipeTo(writable);
+    },
+
+    // purge every cached component that declared (or rendered a component
+    // that declared) one of the serverCacheTags
+    invalidateTags: render.invalidateTags,
+
+    // 103 Early Hints for a request that has not started rendering yet
+    // (initial chunks, plus async chunks of components already registered)
+    getEarlyHints(context?: Object): { link: Array<string> } {
+      return templateRenderer.getEarlyHints(context || {});
+    },
   };
 }
@@ -47,7 +47,9 @@ function walk(node: ASTNode, isRoot?: boolean) {
   if (node.type === 1) {
     for (let i = 0, l = node.children.length; i < l; i++) {
       const child = node.children[i];
-      walk(child);
+      // each root of a fragment is a root node as well, so that they are
+      // never merged into a single ssrNode and the fragment keeps its roots
+      walk(child, isRoot && node.fragment);
       check(child);
     }
     if (node.ifConditions) {
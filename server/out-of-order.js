@@ -0,0 +1,136 @@
+/* @flow */
+
+// Out-of-order streaming: components whose serverPrefetch is still pending are
+// rendered into a placeholder and the rest of the page keeps streaming. Each
+// deferred component is rendered into its own buffer once its data is ready,
+// and the resolved chunks are flushed after the main content together with a
+// small inline script that swaps them into place. Nested chunks are flushed
+// only after the chunk containing their placeholder.
+
+const PLACEHOLDER_PREFIX = 'vue-ssr-p-';
+const CHUNK_PREFIX = 'vue-ssr-c-';
+const SWAP_FN = '__VUE_SSR_SWAP__';
+
+// moves the content of the chunk <template> to the placeholder position,
+// then removes the placeholder, the chunk and the calling script
+const SWAP_FN_SOURCE =
+  `function ${ SWAP_FN }(i){var d=document,` +
+  `p=d.getElementById('${ PLACEHOLDER_PREFIX }'+i),` +
+  `c=d.getElementById('${ CHUNK_PREFIX }'+i),` +
+  `s=d.currentScript;` +
+  `p.parentNode.replaceChild(c.content,p);` +
+  `c.parentNode.removeChild(c);` +
+  `s&&s.parentNode.removeChild(s)}`;
+
+type Boundary = {
+  id: number,
+  parent: ?Boundary,
+  html: string,
+  done: boolean,
+  flushed: boolean,
+};
+
+export function renderPlaceholder(id: number): string {
+  return `<template id="${ PLACEHOLDER_PREFIX }${ id }"></template>`;
+}
+
+export class OutOfOrderQueue {
+  write: (text: string, next: Function) => void;
+  done: (err: ?Error) => void;
+  nonce: ?string;
+  boundaries: Array<Boundary>;
+  nextId: number;
+  mainDone: boolean;
+  flushing: boolean;
+  swapFnWritten: boolean;
+  finished: boolean;
+
+  constructor(write: Function, done: Function, userContext: ?Object) {
+    this.write = write;
+    this.done = done;
+    this.nonce = userContext && userContext.nonce;
+    this.boundaries = [];
+    this.nextId = 0;
+    this.mainDone = false;
+    this.flushing = false;
+    this.swapFnWritten = false;
+    this.finished = false;
+  }
+
+  // create a boundary for a deferred component rendered inside `parent`
+  // (null for the main content)
+  defer(parent: ?Boundary): Boundary {
+    const boundary = {
+      id: this.nextId++,
+      parent,
+      html: '',
+      done: false,
+      flushed: false,
+    };
+    this.boundaries.push(boundary);
+    return boundary;
+  }
+
+  // the main content has been fully written
+  end(err: ?Error) {
+    if (err) return this.fail(err);
+    this.mainDone = true;
+    this.flush();
+  }
+
+  // a deferred component has been fully rendered into its buffer
+  resolve(boundary: Boundary, err: ?Error) {
+    if (err) return this.fail(err);
+    boundary.done = true;
+    this.flush();
+  }
+
+  fail(err: Error) {
+    if (this.finished) return;
+    this.finished = true;
+    this.done(err);
+  }
+
+  flush() {
+    if (!this.mainDone || this.flushing || this.finished) return;
+
+    const boundaries = this.boundaries;
+    let ready;
+    for (let i = 0; i < boundaries.length; i++) {
+      const b = boundaries[i];
+      if (b.done && !b.flushed && (!b.parent || b.parent.flushed)) {
+        ready = b;
+        break;
+      }
+    }
+
+    if (!ready) {
+      if (boundaries.every(b => b.flushed)) {
+        this.finished = true;
+        this.done();
+      }
+      return;
+    }
+
+    ready.flushed = true;
+    this.flushing = true;
+    this.write(this.renderChunk(ready), () => {
+      this.flushing = false;
+      this.flush();
+    });
+  }
+
+  renderChunk(boundary: Boundary): string {
+    const nonceAttr = this.nonce ? ` nonce="${ this.nonce }"` : '';
+    let script = '';
+    if (!this.swapFnWritten) {
+      this.swapFnWritten = true;
+      script += SWAP_FN_SOURCE + ';';
+    }
+    script += `${ SWAP_FN }(${ boundary.id })`;
+    return (
+      `<template id="${ CHUNK_PREFIX }${ boundary.id }">${ boundary.html }</template>` +
+      `<script${ nonceAttr }>${ script }</script>`
+    );
+  }
+}
@@ -0,0 +1,113 @@
+/* @flow */
+
+import { remove } from 'shared/util';
+import { getComponentPath } from 'core/vdom/helpers/hydration-mismatch';
+
+type PendingEntry = {
+  vm: Component,
+  tag?: string,
+};
+
+// Rejected by a render that exceeded the `timeout` render option or was
+// aborted through `context.signal`. `componentPath` points at the first
+// component that was still waiting (for serverPrefetch / asyncSetup or an async
+// component factory), e.g. ['<Root>', '<App>', '<ProductList>'].
+export class RenderTimeoutError extends Error {
+  componentPath: Array<string>;
+  timeout: ?number;
+  aborted: boolean;
+  reason: any;
+
+  constructor(componentPath: Array<string>, timeout: ?number, reason?: any) {
+    const aborted = timeout == null;
+    super(
+      (aborted ? 'Server render was aborted' : `Server render timed out after ${ String(timeout) }ms`) +
+      (componentPath.length ? `, waiting for ${ componentPath.join(' > ') }` : '') +
+      '.',
+    );
+    this.name = 'RenderTimeoutError';
+    this.componentPath = componentPath;
+    this.timeout = timeout;
+    this.aborted = aborted;
+    this.reason = reason;
+  }
+}
+
+// Shared by the main render context and the contexts of deferred components:
+// keeps track of what the render is waiting for and of the instances it has
+// created, and ends the render when the timeout elapses or the signal aborts.
+export class RenderController {
+  aborted: boolean;
+  finished: boolean;
+  pending: Array<PendingEntry>;
+  instances: Array<Component>;
+  done: (err: ?Error) => void;
+  timer: any;
+  signal: ?Object;
+  onAbort: ?Function;
+
+  constructor(done: Function, timeout: ?number, signal: ?Object) {
+    this.aborted = false;
+    this.finished = false;
+    this.pending = [];
+    this.instances = [];
+    this.timer = null;
+    this.signal = signal;
+    this.onAbort = null;
+
+    this.done = (err: ?Error) => {
+      if (this.finished) return;
+      this.finished = true;
+      this.cleanup();
+      done(err);
+    };
+
+    if (timeout != null && timeout !== Infinity) {
+      this.timer = setTimeout(() => this.abort(timeout), timeout);
+    }
+    if (signal) {
+      if (signal.aborted) {
+        this.abort(null, signal.reason);
+      } else {
+        this.onAbort = () => this.abort(null, signal.reason);
+        signal.addEventListener('abort', this.onAbort);
+      }
+    }
+  }
+
+  // record a component waiting for `promise`
+  track(vm: Component, promise: Promise<any>, tag?: string): Promise<any> {
+    const entry = { vm, tag };
+    const settle = () => remove(this.pending, entry);
+    this.pending.push(entry);
+    promise.then(settle, settle);
+    return promise;
+  }
+
+  abort(timeout: ?number, reason?: any) {
+    if (this.finished) return;
+    this.aborted = true;
+
+    const entry = this.pending[0];
+    const path = entry ? getComponentPath(entry.vm) : [];
+    if (entry && entry.tag) path.push(`<${ entry.tag }>`);
+
+    // instances created by the render will never be mounted
+    const instances = this.instances;
+    for (let i = instances.length - 1; i >= 0; i--) instances[i].$destroy();
+    instances.length = 0;
+
+    this.done(new RenderTimeoutError(path, timeout, reason));
+  }
+
+  cleanup() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.signal && this.onAbort) {
+      this.signal.removeEventListener('abort', this.onAbort);
+      this.onAbort = null;
+    }
+  }
+}
@@ -1,6 +1,15 @@
 /* @flow */
 
-import { isUndef } from 'shared/util';
+import { isDef, isUndef } from 'shared/util';
+import type { OutOfOrderQueue } from './out-of-order';
+import type { RenderController } from './render-abort';
+import type { RenderProfiler, ProfileNode } from './render-profiler';
+
+type TagVersionRead = {
+  version: ?string,
+  loaded: boolean,
+  callbacks: Array<Function>,
+};
 
 type RenderState =
   | {
@@ -15,23 +24,68 @@ type RenderState =
       rendered: number,
       total: number,
       children: Array<VNode>,
+      endTag?: string,
     }
   | {
       type: 'Component',
       prevActive: Component,
+      profile?: ProfileNode,
+    }
+  | {
+      type: 'Teleport',
+      to: string,
+      prevWrite: (text: string, next: Function) => void,
+      content: string,
     }
   | {
       type: 'ComponentWithCache',
       buffer: Array<string>,
       bufferIndex: number,
       componentBuffer: Array<Set<Class<Component>>>,
+      tagBuffer: Array<Set<string>>,
+      holeBuffer: Array<Array<CacheHole>>,
       key: string,
+      skip?: boolean, // rendered a teleport, the result is not cached
+    }
+  | {
+      type: 'CacheHole',
+      write: Function,
+      caching: boolean,
+      buffers: Array<Array<any>>,
     };
 
+// a `serverCacheable: false` component inside a cached component: it is left
+// out of the cached html and rendered fresh at `index` on every cache hit,
+// only its name and props are stored so that entries remain serializable
+export type CacheHole = {
+  index: number,
+  name: string,
+  props: ?Object,
+};
+
+// Cache tags are versioned in the cache itself, under one key per tag, so that
+// invalidations survive restarts and are seen by every server process sharing
+// the cache. Entries record the versions their tags had when the render first
+// encountered them (before the tagged content was rendered), and become stale
+// once any of those versions changes (or is evicted from the cache).
+const TAG_KEY_PREFIX = '__vue_ssr_tag__::';
+
+function createTagVersion(): string {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+export function invalidateCacheTags(cache: any, tags: string | Array<string>) {
+  if (!Array.isArray(tags)) tags = [tags];
+  for (let i = 0; i < tags.length; i++) {
+    cache.set(TAG_KEY_PREFIX + tags[i], createTagVersion());
+  }
+}
+
 export class RenderContext {
   userContext: ?Object;
   activeInstance: Component;
   renderStates: Array<RenderState>;
+  teleports: { [to: string]: string };
   write: (text: string, next: Function) => void;
   renderNode: (node: VNode, isRoot: boolean, context: RenderContext) => void;
   next: () => void;
@@ -44,14 +98,39 @@ export class RenderContext {
   cache: any;
   get: ?(key: string, cb: Function) => void;
   has: ?(key: string, cb: Function) => void;
+  holeComponents: { [name: string]: Class<Component> };
+  tagVersionReads: { [tag: string]: TagVersionRead };
+
+  outOfOrder: ?OutOfOrderQueue;
+  boundary: ?Object;
+  controller: RenderController;
+  profiler: ?RenderProfiler;
+  profileStack: Array<ProfileNode>;
 
   constructor(options: Object) {
     this.userContext = options.userContext;
     this.activeInstance = options.activeInstance;
     this.renderStates = [];
+    // exposed to the template as context.teleports, keyed by target selector
+    // (shared with the contexts of deferred components in out-of-order mode)
+    this.teleports = options.teleports || {};
+    if (this.userContext) this.userContext.teleports = this.teleports;
+
+    // out-of-order streaming: the shared queue, and the boundary this context
+    // renders into (undefined for the main content)
+    this.outOfOrder = options.outOfOrder;
+    this.boundary = options.boundary;
+
+    // timeout / abort handling, shared with the contexts of deferred components
+    this.controller = options.controller;
 
-    this.write = options.write;
     this.done = options.done;
+
+    // opt-in profiling: `profileNode` is the node the context renders into,
+    // bytes written are attributed to the component on top of the stack
+    this.profiler = options.profiler;
+    this.profileStack = options.profiler ? [options.profileNode] : [];
+    this.write = options.profiler ? options.profiler.wrapWrite(this, options.write, options.done) : options.write;
     this.renderNode = options.renderNode;
 
     this.isUnaryTag = options.isUnaryTag;
@@ -65,11 +144,80 @@ export class RenderContext {
     this.cache = cache;
     this.get = cache && normalizeAsync(cache, 'get');
     this.has = cache && normalizeAsync(cache, 'has');
+    this.holeComponents = options.holeComponents || Object.create(null);
+    this.tagVersionReads = Object.create(null);
 
     this.next = this.next.bind(this);
   }
 
+  // current versions of the tags, read from the cache
+  getTagVersions(tags: Array<string>, cb: (versions: Array<?string>) => void) {
+    const get: any = this.get;
+    const versions = new Array(tags.length);
+    let remaining = tags.length;
+    if (!remaining) return cb(versions);
+    tags.forEach((tag, i) => {
+      get(TAG_KEY_PREFIX + tag, version => {
+        versions[i] = version;
+        if (--remaining === 0) cb(versions);
+      });
+    });
+  }
+
+  // a cached entry is stale once one of its tags has been invalidated
+  // (entries stored without tags are always fresh)
+  checkCacheFresh(res: Object, cb: (fresh: boolean) => void) {
+    const { tags, versions } = res;
+    if (!tags || !tags.length) return cb(true);
+    this.getTagVersions(tags, current => {
+      cb(current.every((version, i) => isDef(version) && version === versions[i]));
+    });
+  }
+
+  // start reading the version of a tag the first time the render encounters
+  // it, i.e. before the content it tags is rendered. Tags without a version
+  // yet get one, so that an evicted version never matches again.
+  captureTagVersion(tag: string) {
+    if (this.tagVersionReads[tag]) return;
+    const read = (this.tagVersionReads[tag] = { version: undefined, loaded: false, callbacks: [] });
+    (this.get: any)(TAG_KEY_PREFIX + tag, version => {
+      if (isUndef(version)) {
+        version = createTagVersion();
+        this.cache.set(TAG_KEY_PREFIX + tag, version);
+      }
+      read.version = version;
+      read.loaded = true;
+      read.callbacks.forEach(cb => cb());
+      read.callbacks.length = 0;
+    });
+  }
+
+  // store the entry with the versions captured when its tags were encountered,
+  // so that an invalidation during the render leaves the entry stale
+  setCache(key: string, result: Object) {
+    const tags = result.tags;
+    let remaining = tags.length;
+    const store = () => {
+      result.versions = tags.map(tag => this.tagVersionReads[tag].version);
+      this.cache.set(key, result);
+    };
+    if (!remaining) return store();
+    tags.forEach(tag => {
+      this.captureTagVersion(tag);
+      const read = this.tagVersionReads[tag];
+      if (read.loaded) {
+        if (--remaining === 0) store();
+      } else {
+        read.callbacks.push(() => {
+          if (--remaining === 0) store();
+        });
+      }
+    });
+  }
+
   next() {
+    // the render has timed out or was aborted
+    if (this.controller.aborted) return;
     // eslint-disable-next-line
     while (true) {
       const lastState = this.renderStates[this.renderStates.length - 1];
@@ -86,7 +234,7 @@ export class RenderContext {
             return this.renderNode(children[rendered], false, this);
           } else {
             this.renderStates.pop();
-            if (lastState.type === 'Element') {
+            if (lastState.type === 'Element' || lastState.endTag) {
               return this.write(lastState.endTag, this.next);
             }
           }
@@ -94,15 +242,25 @@ export class RenderContext {
         case 'Component':
           this.renderStates.pop();
           this.activeInstance = lastState.prevActive;
+          if (lastState.profile) (this.profiler: any).end(this, lastState.profile);
+          break;
+        case 'Teleport':
+          this.renderStates.pop();
+          this.write = lastState.prevWrite;
+          this.teleports[lastState.to] = (this.teleports[lastState.to] || '') + lastState.content;
           break;
         case 'ComponentWithCache':
           this.renderStates.pop();
-          const { buffer, bufferIndex, componentBuffer, key } = lastState;
+          const { buffer, bufferIndex, componentBuffer, tagBuffer, holeBuffer, key } = lastState;
+          const tags = Array.from(tagBuffer[bufferIndex]);
           const result = {
             html: buffer[bufferIndex],
             components: componentBuffer[bufferIndex],
+            tags,
+            versions: [],
+            holes: holeBuffer[bufferIndex],
           };
-          this.cache.set(key, result);
+          if (!lastState.skip) this.setCache(key, result);
           if (bufferIndex === 0) {
             // this is a top-level cached component,
             // exit caching mode.
@@ -110,12 +268,26 @@ export class RenderContext {
           } else {
             // parent component is also being cached,
             // merge self into parent's result
+            const offset = buffer[bufferIndex - 1].length;
+            const prevHoles = holeBuffer[bufferIndex - 1];
+            result.holes.forEach(({ index, name, props }) => prevHoles.push({ index: offset + index, name, props }));
             buffer[bufferIndex - 1] += result.html;
             const prev = componentBuffer[bufferIndex - 1];
             result.components.forEach(c => prev.add(c));
+            const prevTags = tagBuffer[bufferIndex - 1];
+            tags.forEach(tag => prevTags.add(tag));
           }
           buffer.length = bufferIndex;
           componentBuffer.length = bufferIndex;
+          tagBuffer.length = bufferIndex;
+          holeBuffer.length = bufferIndex;
+          break;
+        case 'CacheHole':
+          // the hole has been rendered, resume caching the parents
+          this.renderStates.pop();
+          const { write, caching, buffers } = lastState;
+          write.caching = caching;
+          [write.cacheBuffer, write.componentBuffer, write.tagBuffer, write.holeBuffer] = buffers;
           break;
       }
     }
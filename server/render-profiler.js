@@ -0,0 +1,137 @@
+/* @flow */
+
+import { createWriteFunction } from './write';
+
+// Opt-in per-request profiler, enabled with `context.profile = true`.
+// After the render `context.renderProfile` holds a tree of component timings
+// and `context.getServerTiming()` returns a Server-Timing header value.
+export type ProfileNode = {
+  name: string,
+  start: number, // ms since the render started
+  duration: number, // render duration including children and prefetch wait
+  prefetch: number, // time spent waiting for serverPrefetch / asyncSetup
+  cache: 'hit' | 'miss' | void, // serverCacheKey lookup result
+  bytes: number, // bytes written, including children
+  children: Array<ProfileNode>,
+};
+
+const now =
+  typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? () => performance.now()
+    : () => Date.now();
+
+const byteLength =
+  typeof Buffer !== 'undefined'
+    ? (text: string) => Buffer.byteLength(text)
+    : (text: string) => new TextEncoder().encode(text).length;
+
+const round = (n: number) => Math.round(n * 100) / 100;
+
+export function getProfileName(node: VNode): string {
+  const options: any = node.componentOptions;
+  return `<${ options.Ctor.options.name || options.tag || 'Anonymous' }>`;
+}
+
+export class RenderProfiler {
+  root: ProfileNode;
+  origin: number;
+  parents: Map<ProfileNode, ProfileNode>;
+
+  constructor() {
+    this.origin = now();
+    this.parents = new Map();
+    this.root = this.createNode('<Root>');
+  }
+
+  createNode(name: string): ProfileNode {
+    return {
+      name,
+      start: round(now() - this.origin),
+      duration: 0,
+      prefetch: 0,
+      cache: undefined,
+      bytes: 0,
+      children: [],
+    };
+  }
+
+  // start timing a component rendered as a child of the current node of the
+  // context (each render context keeps its own stack)
+  start(context: Object, name: string): ProfileNode {
+    const stack = context.profileStack;
+    const parent = stack[stack.length - 1];
+    const node = this.createNode(name);
+    parent.children.push(node);
+    this.parents.set(node, parent);
+    stack.push(node);
+    return node;
+  }
+
+  end(context: Object, node: ProfileNode) {
+    const stack = context.profileStack;
+    if (stack[stack.length - 1] === node) stack.pop();
+    node.duration = round(now() - this.origin - node.start);
+
+    // bytes are inclusive of children
+    const parent = this.parents.get(node);
+    if (parent) parent.bytes += node.bytes;
+    this.parents.delete(node);
+  }
+
+  // count the bytes written through the context, attributed to the component
+  // currently being rendered
+  wrapWrite(context: Object, write: Function, onError: Function): Function {
+    return createWriteFunction((text, next) => {
+      const stack = context.profileStack;
+      if (text) stack[stack.length - 1].bytes += byteLength(text);
+      write(text, next);
+      return true; // the wrapped write calls next
+    }, onError);
+  }
+
+  // measure the time spent waiting for the component's data
+  prefetch(node: ProfileNode, wait: Promise<any>) {
+    const start = now();
+    const settle = () => {
+      node.prefetch = round(now() - start);
+    };
+    wait.then(settle, settle);
+  }
+
+  finish() {
+    this.root.duration = round(now() - this.origin);
+  }
+
+  // Server-Timing header value: total render time, total prefetch wait, cache
+  // hit/miss counts and the `max` slowest components
+  toServerTiming(max?: number = 5): string {
+    const all = [];
+    let prefetch = 0;
+    let hits = 0;
+    let misses = 0;
+    const walk = (node: ProfileNode) => {
+      for (let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        all.push(child);
+        prefetch += child.prefetch;
+        if (child.cache === 'hit') hits++;
+        if (child.cache === 'miss') misses++;
+        walk(child);
+      }
+    };
+    walk(this.root);
+    prefetch += this.root.prefetch;
+
+    const entries = [
+      `ssr;dur=${ this.root.duration }`,
+      `ssr-prefetch;dur=${ round(prefetch) }`,
+      `ssr-cache;desc="hit=${ hits } miss=${ misses }"`,
+    ];
+    all.sort((a, b) => b.duration - a.duration);
+    for (let i = 0; i < Math.min(max, all.length); i++) {
+      const name = all[i].name.replace(/"/g, '');
+      entries.push(`ssr-c${ i };desc="${ name }";dur=${ all[i].duration }`);
+    }
+    return entries.join(', ');
+  }
+}
@@ -44,7 +44,11 @@ export default class RenderStream extends stream.Readable {
       },
     );
 
-    this.end = () => {
+    this.end = (err: ?Error) => {
+      if (err) {
+        this.emit('error', err);
+        return;
+      }
       this.emit('beforeEnd');
       // the rendering is finished; we should push out the last of the buffer.
       this.done = true;
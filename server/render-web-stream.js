@@ -0,0 +1,109 @@
+/* @flow */
+
+import { createWriteFunction } from './write';
+
+type WebStreamHooks = {
+  head?: () => string,
+  beforeEnd?: () => void,
+  tail?: () => string,
+};
+
+// buffered bytes before the renderer pauses and waits for the consumer
+const HIGH_WATER_MARK = 16 * 1024;
+
+// The WHATWG streams counterpart of RenderStream: rendered text is encoded and
+// enqueued as it is produced. When the queue is full the write function stops
+// the render chain (the same way RenderStream does on back-pressure) and it is
+// resumed from `pull` once the consumer reads. `render` may return a function
+// aborting the render, called when the stream is cancelled.
+export function createRenderWebStream(
+  render: (write: Function, done: Function) => ?(reason?: any) => void,
+  hooks?: WebStreamHooks = {},
+): ReadableStream {
+  const encoder = new TextEncoder();
+  let controller;
+  let next: ?Function = null;
+  let abort: ?(reason?: any) => void = null;
+  let rendering = false;
+  let started = false;
+  let ended = false;
+
+  const enqueue = (text: string) => {
+    if (text) controller.enqueue(encoder.encode(text));
+  };
+
+  // the head is rendered lazily with the first chunk of content, so that
+  // context.head and collected styles are available (same as TemplateStream)
+  const start = () => {
+    if (started) return;
+    started = true;
+    if (hooks.head) enqueue(hooks.head());
+  };
+
+  const fail = (err: Error) => {
+    if (ended) return;
+    ended = true;
+    next = null;
+    controller.error(err);
+  };
+
+  const write = createWriteFunction((text, nextFn) => {
+    if (ended) return true;
+    start();
+    enqueue(text);
+    if (controller.desiredSize <= 0) {
+      next = nextFn;
+      return true; // resumed from pull
+    }
+    return false;
+  }, fail);
+
+  const done = (err: ?Error) => {
+    if (err) return fail(err);
+    if (ended) return;
+    try {
+      start();
+      if (hooks.beforeEnd) hooks.beforeEnd();
+      if (hooks.tail) enqueue(hooks.tail());
+      ended = true;
+      controller.close();
+    } catch (e) {
+      fail(e);
+    }
+  };
+
+  return new ReadableStream(
+    {
+      start(c) {
+        controller = c;
+      },
+      pull() {
+        if (ended) return;
+        try {
+          if (!rendering) {
+            // start the rendering chain.
+            rendering = true;
+            abort = render(write, done);
+          } else if (next) {
+            // continue with the rendering.
+            const fn = next;
+            next = null;
+            fn();
+          }
+        } catch (e) {
+          fail(e);
+        }
+      },
+      // e.g. the client disconnected: stop the render and pending data fetching
+      cancel(reason) {
+        ended = true;
+        next = null;
+        if (abort) abort(reason);
+      },
+    },
+    {
+      highWaterMark: HIGH_WATER_MARK,
+      size: chunk => chunk.byteLength,
+    },
+  );
+}
@@ -1,12 +1,17 @@
 import { escape } from 'web/server/util';
-import { SSR_ATTR } from 'shared/constants';
-import { RenderContext } from './render-context';
+import { SSR_ATTR, FRAGMENT_START, FRAGMENT_END, TELEPORT_START, TELEPORT_END, TELEPORT_ANCHOR } from 'shared/constants';
+import { RenderContext, invalidateCacheTags } from './render-context';
+import { createWriteFunction } from './write';
+import { OutOfOrderQueue, renderPlaceholder } from './out-of-order';
+import { RenderController } from './render-abort';
+import { RenderProfiler, getProfileName } from './render-profiler';
 import { resolveAsset } from 'core/util/options';
 import { generateComponentTrace } from 'core/util/debug';
 import { ssrCompileToFunctions } from 'web/server/compiler';
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers';
 
-import { isDef, isUndef, isTrue } from 'shared/util';
+import { isDef, isUndef, isTrue, isPlainObject } from 'shared/util';
+import { createTextVNode } from 'core/vdom/vnode';
 
 import { createComponent, createComponentInstanceForVnode } from 'core/vdom/create-component';
 
@@ -41,32 +46,49 @@ const normalizeRender = vm => {
   }
 };
 
-function waitForServerPrefetch(vm, resolve, reject) {
+// returns a promise if the component has to wait for data before rendering
+function getServerPrefetch(vm): ?Promise<any> {
+  // asyncSetup must settle before serverPrefetch handlers can use its data
+  if (isTrue(vm._asyncPending)) {
+    return vm._asyncSetup.then(() => getServerPrefetch(vm));
+  }
   let handlers = vm.$options.serverPrefetch;
-  if (isDef(handlers)) {
-    if (!Array.isArray(handlers)) handlers = [handlers];
-    try {
-      const promises = [];
-      for (let i = 0, j = handlers.length; i < j; i++) {
-        const result = handlers[i].call(vm, vm);
-        if (result && typeof result.then === 'function') promises.push(result);
-      }
-      Promise.all(promises).then(resolve).catch(reject);
-      return;
-    } catch (e) {
-      reject(e);
-    }
+  if (isUndef(handlers)) return null;
+  if (!Array.isArray(handlers)) handlers = [handlers];
+  const promises = [];
+  for (let i = 0, j = handlers.length; i < j; i++) {
+    const result = handlers[i].call(vm, vm);
+    if (result && typeof result.then === 'function') promises.push(result);
+  }
+  return Promise.all(promises);
+}
+
+function waitForServerPrefetch(vm, context, resolve, reject) {
+  let wait;
+  try {
+    wait = getServerPrefetch(vm);
+  } catch (e) {
+    return reject(e);
+  }
+  if (wait) {
+    if (isDef(context.profiler)) context.profiler.prefetch(currentProfile(context), wait);
+    context.controller.track(vm, wait).then(resolve).catch(reject);
+  } else {
+    resolve();
   }
-  resolve();
 }
 
 function renderNode(node, isRoot, context) {
+  // the render has timed out or was aborted, pending work is dropped
+  if (context.controller.aborted) return;
   if (node.isString) {
     renderStringNode(node, context);
   } else if (isDef(node.componentOptions)) {
     renderComponent(node, isRoot, context);
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context);
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, context);
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -89,50 +111,67 @@ function registerComponentForCache(options, write) {
   return register;
 }
 
+// serverCacheTags: an array of tags, or a function of the props returning one
+function getCacheTags(options, propsData): ?Array<string> {
+  const tags = options.serverCacheTags;
+  return typeof tags === 'function' ? tags(propsData) : tags;
+}
+
+// tags are recorded on every cached ancestor being rendered, so that
+// invalidating a tag also purges the fragments the component is part of.
+// Their versions are captured now, before the tagged content is rendered.
+function registerCacheTags(tags, context) {
+  const write = context.write;
+  if (write.caching && isDef(tags) && tags.length) {
+    const set = write.tagBuffer[write.tagBuffer.length - 1];
+    for (let i = 0; i < tags.length; i++) {
+      set.add(tags[i]);
+      context.captureTagVersion(tags[i]);
+    }
+  }
+}
+
+// the profile node of the component currently rendered by the context
+function currentProfile(context) {
+  return context.profileStack[context.profileStack.length - 1];
+}
+
+// a component served from the cache is finished once its html is written
+function finishCacheHit(context, profile, next) {
+  if (isUndef(profile)) return next;
+  profile.cache = 'hit';
+  return () => {
+    context.profiler.end(context, profile);
+    next();
+  };
+}
+
 function renderComponent(node, isRoot, context) {
-  const { write, next, userContext } = context;
+  if (node.componentOptions.Ctor.options.serverCacheable === false && context.write.caching) {
+    return renderCacheHole(node, isRoot, context);
+  }
+  const profile = isDef(context.profiler) ? context.profiler.start(context, getProfileName(node)) : undefined;
 
   // check cache hit
   const Ctor = node.componentOptions.Ctor;
   const getKey = Ctor.options.serverCacheKey;
   const name = Ctor.options.name;
   const cache = context.cache;
-  const registerComponent = registerComponentForCache(Ctor.options, write);
+  registerComponentForCache(Ctor.options, context.write);
 
   if (isDef(getKey) && isDef(cache) && isDef(name)) {
     const rawKey = getKey(node.componentOptions.propsData);
-    if (rawKey === false) {
-      renderComponentInner(node, isRoot, context);
-      return;
-    }
-    const key = name + '::' + rawKey;
-    const { has, get } = context;
-    if (isDef(has)) {
-      has(key, hit => {
-        if (hit === true && isDef(get)) {
-          get(key, res => {
-            if (isDef(registerComponent)) {
-              registerComponent(userContext);
-            }
-            res.components.forEach(register => register(userContext));
-            write(res.html, next);
-          });
-        } else {
-          renderComponentWithCache(node, isRoot, key, context);
-        }
-      });
-    } else if (isDef(get)) {
-      get(key, res => {
-        if (isDef(res)) {
-          if (isDef(registerComponent)) {
-            registerComponent(userContext);
-          }
-          res.components.forEach(register => register(userContext));
-          write(res.html, next);
-        } else {
-          renderComponentWithCache(node, isRoot, key, context);
-        }
-      });
+    if (rawKey && typeof rawKey.then === 'function') {
+      // async key, e.g. computed from a version stored outside of the props
+      context.controller.track(context.activeInstance, rawKey, name).then(
+        key => {
+          if (context.controller.aborted) return;
+          renderCachedComponent(node, isRoot, context, key, profile);
+        },
+        err => context.done(err),
+      );
+    } else {
+      renderCachedComponent(node, isRoot, context, rawKey, profile);
     }
   } else {
     if (isDef(getKey) && isUndef(cache)) {
@@ -148,27 +187,195 @@ function renderComponent(node, isRoot, context) {
         `must also define a unique "name" option.`,
       );
     }
+    registerCacheTags(getCacheTags(Ctor.options, node.componentOptions.propsData), context);
+    renderComponentInner(node, isRoot, context);
+  }
+}
+
+function renderCachedComponent(node, isRoot, context, rawKey, profile) {
+  const { write, next, userContext } = context;
+  const options = node.componentOptions.Ctor.options;
+  const registerComponent = options._ssrRegister;
+
+  if (rawKey === false) {
+    registerCacheTags(getCacheTags(options, node.componentOptions.propsData), context);
     renderComponentInner(node, isRoot, context);
+    return;
+  }
+  const key = options.name + '::' + rawKey;
+  const { has, get } = context;
+  const renderHit = res => {
+    const holeNodes = isDef(res.holes) && res.holes.length ? createCacheHoles(res.holes, context) : undefined;
+    if (holeNodes === null) {
+      return renderComponentWithCache(node, isRoot, key, context);
+    }
+    if (isDef(registerComponent)) {
+      registerComponent(userContext);
+    }
+    res.components.forEach(register => register(userContext));
+    registerCacheTags(res.tags, context);
+    if (isDef(holeNodes)) {
+      renderCachedWithHoles(res, holeNodes, profile, context);
+    } else {
+      write(res.html, finishCacheHit(context, profile, next));
+    }
+  };
+  const renderResult = res => {
+    if (isUndef(res)) {
+      return renderComponentWithCache(node, isRoot, key, context);
+    }
+    context.checkCacheFresh(res, fresh => {
+      if (fresh) {
+        renderHit(res);
+      } else {
+        renderComponentWithCache(node, isRoot, key, context);
+      }
+    });
+  };
+  if (isDef(has)) {
+    has(key, hit => {
+      if (hit === true && isDef(get)) {
+        get(key, renderResult);
+      } else {
+        renderComponentWithCache(node, isRoot, key, context);
+      }
+    });
+  } else if (isDef(get)) {
+    get(key, renderResult);
   }
 }
 
 function renderComponentWithCache(node, isRoot, key, context) {
+  if (isDef(context.profiler)) currentProfile(context).cache = 'miss';
   const write = context.write;
   write.caching = true;
   const buffer = write.cacheBuffer;
   const bufferIndex = buffer.push('') - 1;
   const componentBuffer = write.componentBuffer;
   componentBuffer.push(new Set());
+  const tagBuffer = write.tagBuffer;
+  tagBuffer.push(new Set());
+  const holeBuffer = write.holeBuffer;
+  holeBuffer.push([]);
   context.renderStates.push({
     type: 'ComponentWithCache',
     key,
     buffer,
     bufferIndex,
     componentBuffer,
+    tagBuffer,
+    holeBuffer,
   });
+  registerCacheTags(getCacheTags(node.componentOptions.Ctor.options, node.componentOptions.propsData), context);
   renderComponentInner(node, isRoot, context);
 }
 
+// a `serverCacheable: false` component inside a cached component: its position
+// is recorded in the cached html and it is rendered outside of caching mode, so
+// that its output (and anything it registers) is not part of the cached result.
+// The cache entry only stores the component name and a copy of its props, the
+// hole is created anew on every cache hit (see renderCachedWithHoles).
+function renderCacheHole(node, isRoot, context) {
+  const write = context.write;
+  const { Ctor, propsData, children, listeners } = node.componentOptions;
+  const name = Ctor.options.name;
+  if (
+    isUndef(name) ||
+    isDef(children) ||
+    isDef(listeners) ||
+    (isDef(node.data) && isDef(node.data.scopedSlots)) ||
+    !isSerializable(propsData)
+  ) {
+    // the hole cannot be re-created from the cache entry
+    warnOnce(
+      `[vue-server-renderer] Component ${ name || '(anonymous)' } is not ` +
+      'cacheable but cannot be rendered as a cache hole: holes must define a ' +
+      'unique "name", receive no slots or listeners and only JSON ' +
+      'serializable props. Its cached ancestors will not be cached.',
+    );
+    skipCachingAncestors(context);
+  } else {
+    const buffer = write.cacheBuffer;
+    context.holeComponents[name] = Ctor;
+    write.holeBuffer[write.holeBuffer.length - 1].push({
+      index: buffer[buffer.length - 1].length,
+      name,
+      props: isDef(propsData) ? JSON.parse(JSON.stringify(propsData)) : undefined,
+    });
+  }
+  context.renderStates.push({
+    type: 'CacheHole',
+    write,
+    caching: write.caching,
+    buffers: [write.cacheBuffer, write.componentBuffer, write.tagBuffer, write.holeBuffer],
+  });
+  // cached components inside the hole are cached on their own
+  write.caching = false;
+  write.cacheBuffer = [];
+  write.componentBuffer = [];
+  write.tagBuffer = [];
+  write.holeBuffer = [];
+  renderComponent(node, isRoot, context);
+}
+
+function isSerializable(value) {
+  if (value === null || typeof value !== 'object') {
+    return typeof value !== 'function' && typeof value !== 'symbol';
+  }
+  if (!Array.isArray(value) && !isPlainObject(value)) return false;
+  return Object.keys(value).every(key => isSerializable(value[key]));
+}
+
+// fresh vnodes for the holes of a cached entry, owned by the component being
+// rendered. Returns null when a hole component cannot be resolved (e.g. the
+// entry was stored by another server process), the entry is then a miss.
+function createCacheHoles(holes, context) {
+  const vm = context.activeInstance;
+  const nodes = [];
+  for (let i = 0; i < holes.length; i++) {
+    const { name, props } = holes[i];
+    const Ctor = context.holeComponents[name] || resolveAsset(vm.$options, 'components', name);
+    if (isUndef(Ctor)) return null;
+    const data = isDef(props) ? { props: JSON.parse(JSON.stringify(props)) } : undefined;
+    nodes.push(createComponent(Ctor, data, vm, undefined, name));
+  }
+  return nodes;
+}
+
+// cache hit on a component with holes: the cached html is written around fresh
+// renders of the holes
+function renderCachedWithHoles(res, holeNodes, profile, context) {
+  const { html, holes } = res;
+  const children = [];
+  let index = 0;
+  for (let i = 0; i < holes.length; i++) {
+    children.push(createRawVNode(html.slice(index, holes[i].index)), holeNodes[i]);
+    index = holes[i].index;
+  }
+  children.push(createRawVNode(html.slice(index)));
+
+  // ends the component's profile once the holes have been rendered
+  if (isDef(profile)) profile.cache = 'hit';
+  context.renderStates.push({
+    type: 'Component',
+    prevActive: context.activeInstance,
+    profile,
+  });
+  context.renderStates.push({
+    type: 'Fragment',
+    children,
+    rendered: 0,
+    total: children.length,
+  });
+  context.next();
+}
+
+function createRawVNode(html) {
+  const node = createTextVNode(html);
+  node.raw = true;
+  return node;
+}
+
 function renderComponentInner(node, isRoot, context) {
   const prevActive = context.activeInstance;
   // expose userContext on vnode
@@ -177,21 +384,97 @@ function renderComponentInner(node, isRoot, context) {
     node,
     context.activeInstance,
   ));
+  context.controller.instances.push(child);
   normalizeRender(child);
+  const profile = isDef(context.profiler) ? currentProfile(context) : undefined;
 
   const resolve = () => {
+    if (context.controller.aborted) return;
     const childNode = child._render();
     childNode.parent = node;
     context.renderStates.push({
       type: 'Component',
       prevActive,
+      profile,
     });
     renderNode(childNode, isRoot, context);
   };
 
   const reject = context.done;
 
-  waitForServerPrefetch(child, resolve, reject);
+  let wait;
+  try {
+    wait = getServerPrefetch(child);
+  } catch (e) {
+    return reject(e);
+  }
+  if (!wait) {
+    resolve();
+    return;
+  }
+  context.controller.track(child, wait);
+  if (isDef(profile)) context.profiler.prefetch(profile, wait);
+  if (canDefer(context)) {
+    renderDeferred(node, isRoot, child, wait, prevActive, context);
+  } else {
+    wait.then(resolve).catch(reject);
+  }
+}
+
+// out-of-order streaming is not possible when the output is being cached or
+// collected for a teleport
+function canDefer(context) {
+  return (
+    isDef(context.outOfOrder) &&
+    !context.write.caching &&
+    !context.renderStates.some(state => state.type === 'Teleport')
+  );
+}
+
+// out-of-order streaming: write a placeholder and continue with the rest of
+// the page. The component is rendered into its own boundary once its data is
+// ready, and flushed by the queue after the main content.
+function renderDeferred(node, isRoot, child, wait, prevActive, context) {
+  const queue = context.outOfOrder;
+  const boundary = queue.defer(context.boundary);
+  // the component's profile continues in the deferred context
+  const profile = isDef(context.profiler) ? context.profileStack.pop() : undefined;
+  const deferredContext = new RenderContext({
+    activeInstance: child,
+    userContext: context.userContext,
+    write: createWriteFunction(text => {
+      boundary.html += text;
+      return false;
+    }, err => queue.fail(err)),
+    done: err => queue.resolve(boundary, err),
+    renderNode,
+    isUnaryTag: context.isUnaryTag,
+    modules: context.modules,
+    directives: context.directives,
+    cache: context.cache,
+    holeComponents: context.holeComponents,
+    teleports: context.teleports,
+    outOfOrder: queue,
+    boundary,
+    controller: context.controller,
+    profiler: context.profiler,
+    profileNode: profile,
+  });
+
+  wait.then(() => {
+    if (context.controller.aborted) return;
+    const childNode = child._render();
+    childNode.parent = node;
+    deferredContext.renderStates.push({
+      type: 'Component',
+      prevActive,
+      profile,
+    });
+    renderNode(childNode, isRoot, deferredContext);
+  }).catch(deferredContext.done);
+
+  context.activeInstance = prevActive;
+  context.write(renderPlaceholder(boundary.id), context.next);
 }
 
 function renderAsyncComponent(node, isRoot, context) {
@@ -241,13 +524,14 @@ function renderAsyncComponent(node, isRoot, context) {
     reject(e);
   }
   if (res) {
+    const { context: owner, tag } = node.asyncMeta;
     if (typeof res.then === 'function') {
-      res.then(resolve, reject).catch(reject);
+      context.controller.track(owner, res, tag).then(resolve, reject).catch(reject);
     } else {
       // new syntax in 2.3
       const comp = res.component;
       if (comp && typeof comp.then === 'function') {
-        comp.then(resolve, reject).catch(reject);
+        context.controller.track(owner, comp, tag).then(resolve, reject).catch(reject);
       }
     }
   }
@@ -302,6 +586,72 @@ function renderElement(el, isRoot, context) {
   }
 }
 
+// multi-root component: children are rendered between anchor comments
+// so that the client can locate the fragment during hydration
+function renderFragment(node, context) {
+  if (isTrue(node.isTeleport)) {
+    return renderTeleport(node, context);
+  }
+  const children: Array<VNode> = node.children;
+  context.renderStates.push({
+    type: 'Fragment',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: `<!--${ FRAGMENT_END }-->`,
+  });
+  context.write(`<!--${ FRAGMENT_START }-->`, context.next);
+}
+
+// <teleport>: the content is collected into context.teleports[to] (each
+// teleport ends with an anchor comment), only the anchors are rendered in place.
+// Disabled teleports and non-selector targets are rendered inline.
+// Teleported content is not part of the html of a cached ancestor, so the
+// ancestors being cached are rendered without storing their result.
+function renderTeleport(node, context) {
+  const children: Array<VNode> = node.children;
+  const { to, disabled } = node.data.teleport;
+  if (disabled || typeof to !== 'string') {
+    context.renderStates.push({
+      type: 'Fragment',
+      children,
+      rendered: 0,
+      total: children.length,
+      endTag: `<!--${ TELEPORT_END }-->`,
+    });
+    return context.write(`<!--${ TELEPORT_START }-->`, context.next);
+  }
+
+  skipCachingAncestors(context);
+  const prevWrite = context.write;
+  const state = { type: 'Teleport', to, prevWrite, content: '' };
+  context.renderStates.push(state, {
+    type: 'Fragment',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: `<!--${ TELEPORT_ANCHOR }-->`,
+  });
+  prevWrite(`<!--${ TELEPORT_START }--><!--${ TELEPORT_END }-->`, () => {
+    context.write = createWriteFunction(text => {
+      state.content += text;
+      return false;
+    }, context.done);
+    context.next();
+  });
+}
+
+// components rendered outside of caching mode (cache holes) are not part of
+// the ancestors' cached html, the search stops at the first hole
+function skipCachingAncestors(context) {
+  const states = context.renderStates;
+  for (let i = states.length - 1; i >= 0; i--) {
+    const state = states[i];
+    if (state.type === 'CacheHole') return;
+    if (state.type === 'ComponentWithCache') state.skip = true;
+  }
+}
+
 function hasAncestorData(node: VNode) {
   const parentNode = node.parent;
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode));
@@ -391,14 +741,42 @@ export function createRenderFunction(
   directives: Object,
   isUnaryTag: Function,
   cache: any,
+  timeout?: number,
 ) {
-  return function render(
+  // constructors of the cache hole components rendered so far, by name
+  const holeComponents = Object.create(null);
+
+  function render(
     component: Component,
     write: (text: string, next: Function) => void,
     userContext: ?Object,
     done: Function,
-  ) {
+    outOfOrder?: boolean,
+  ): RenderController {
     warned = Object.create(null);
+    // opt-in profiling with context.profile = true
+    let profiler;
+    if (userContext && userContext.profile === true) {
+      const p = (profiler = new RenderProfiler());
+      const userDone = done;
+      done = err => {
+        p.finish();
+        userDone(err);
+      };
+      userContext.renderProfile = p.root;
+      userContext.getServerTiming = (max?: number) => p.toServerTiming(max);
+    }
+    // ends the render with a RenderTimeoutError when the timeout elapses or
+    // context.signal (an AbortSignal) aborts
+    const controller = new RenderController(done, timeout, userContext && userContext.signal);
+    if (controller.aborted) return controller;
+    done = controller.done;
+    let queue;
+    if (outOfOrder) {
+      // the stream ends once all the deferred components have been flushed
+      queue = new OutOfOrderQueue(write, done, userContext);
+      done = err => (queue: any).end(err);
+    }
     const context = new RenderContext({
       activeInstance: component,
       userContext,
@@ -409,6 +787,11 @@ export function createRenderFunction(
       modules,
       directives,
       cache,
+      holeComponents,
+      outOfOrder: queue,
+      controller,
+      profiler,
+      profileNode: profiler && profiler.root,
     });
     installSSRHelpers(component);
     normalizeRender(component);
@@ -416,6 +799,14 @@ export function createRenderFunction(
     const resolve = () => {
       renderNode(component._render(), true, context);
     };
-    waitForServerPrefetch(component, resolve, done);
+    waitForServerPrefetch(component, context, resolve, done);
+    return controller;
+  }
+
+  // purge every cached component rendered with one of the tags
+  render.invalidateTags = (tags: string | Array<string>) => {
+    if (isDef(cache)) invalidateCacheTags(cache, tags);
   };
+
+  return render;
 }
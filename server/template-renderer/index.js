@@ -14,6 +14,7 @@ type TemplateRendererOptions = {
   template?: string | ((content: string, context: any) => string),
   inject?: boolean,
   clientManifest?: ClientManifest,
+  criticalCSS?: CriticalCSS,
   shouldPreload?: (file: string, type: string) => boolean,
   shouldPrefetch?: (file: string, type: string) => boolean,
   serializer?: Function,
@@ -32,6 +33,19 @@ export type ClientManifest = {
   },
 };
 
+// CSS of each module, keyed by the module identifiers registered by
+// vue-loader (the keys of clientManifest.modules)
+export type CriticalCSS =
+  | { [moduleId: string]: string }
+  | ((moduleId: string) => ?string);
+
+// applies the stylesheets rendered with media="print" once they are loaded
+// (immediately if they already are)
+const ASYNC_STYLES_SCRIPT =
+  `(function(){var l=document.querySelectorAll('link[data-vue-ssr-async]'),i;` +
+  `function a(){this.media='all'}` +
+  `for(i=0;i<l.length;i++){if(l[i].sheet)a.call(l[i]);else l[i].onload=a}})()`;
+
 type Resource = {
   file: string,
   extension: string,
@@ -48,6 +62,7 @@ export default class TemplateRenderer {
   preloadFiles: Array<Resource>;
   prefetchFiles: Array<Resource>;
   mapFiles: AsyncFileMapper;
+  criticalCSS: ?CriticalCSS;
   serialize: Function;
 
   constructor(options: TemplateRendererOptions) {
@@ -83,6 +98,8 @@ export default class TemplateRenderer {
       this.prefetchFiles = (clientManifest.async || []).map(normalizeFile);
       // initial async chunk mapping
       this.mapFiles = createMapper(clientManifest);
+      // inline the CSS of the rendered modules and load stylesheets async
+      this.criticalCSS = options.criticalCSS;
     }
   }
 
@@ -93,6 +110,9 @@ export default class TemplateRenderer {
     });
     // also expose getPreloadFiles, useful for HTTP/2 push
     context.getPreloadFiles = renderer.getPreloadFiles.bind(renderer, context);
+    // Link headers and 103 Early Hints
+    context.getPreloadHeaders = renderer.getPreloadHeaders.bind(renderer, context);
+    context.getEarlyHints = renderer.getEarlyHints.bind(renderer, context);
   }
 
   // render synchronously given rendered app content and render context
@@ -124,10 +144,38 @@ export default class TemplateRenderer {
     }
   }
 
+  // everything before the app content when streaming, rendered once the first
+  // chunk of content is available
+  renderStreamHead(template: ParsedTemplate, context: Object): string {
+    let head = template.head(context);
+    if (this.inject) {
+      // inline server-rendered head meta information
+      head += context.head || '';
+      // inline preload/prefetch directives for initial/async chunks
+      head += this.renderResourceHints(context);
+      // CSS files and inline server-rendered CSS collected by vue-style-loader
+      head += this.renderStyles(context);
+    }
+    return head + template.neck(context);
+  }
+
+  // everything after the app content when streaming
+  renderStreamTail(template: ParsedTemplate, context: Object): string {
+    let tail = '';
+    if (this.inject) {
+      // inline initial store state and embed scripts needed
+      tail += this.renderState(context) + this.renderScripts(context);
+    }
+    return tail + template.tail(context);
+  }
+
   renderStyles(context: Object): string {
     const initial = this.preloadFiles || [];
     const async = this.getUsedAsyncFiles(context) || [];
     const cssFiles = initial.concat(async).filter(({ file }) => isCSS(file));
+    if (this.criticalCSS) {
+      return this.renderCriticalStyles(context, cssFiles);
+    }
     return (
       // render links for css files
       (cssFiles.length
@@ -141,6 +189,44 @@ export default class TemplateRenderer {
     );
   }
 
+  // critical CSS mode: the CSS of the modules rendered so far is inlined and
+  // the stylesheets are loaded without blocking rendering (media swap done by
+  // a nonced inline script so that it works under a nonce-based CSP, with a
+  // <noscript> fallback). When streaming, only the components rendered before
+  // the head is flushed are taken into account.
+  renderCriticalStyles(context: Object, cssFiles: Array<Resource>): string {
+    const nonceAttr = context.nonce ? ` nonce="${context.nonce}"` : '';
+    const css = this.getCriticalCSS(context);
+    const links = cssFiles
+      .map(({ file }) => {
+        const href = `${this.publicPath}${file}`;
+        return (
+          `<link rel="stylesheet" href="${href}" media="print" data-vue-ssr-async>` +
+          `<noscript><link rel="stylesheet" href="${href}"></noscript>`
+        );
+      })
+      .join('');
+    return (
+      (css ? `<style data-vue-ssr-critical${nonceAttr}>${css}</style>` : '') +
+      (links ? links + `<script${nonceAttr}>${ASYNC_STYLES_SCRIPT}</script>` : '') +
+      (context.styles || '')
+    );
+  }
+
+  getCriticalCSS(context: Object): string {
+    const criticalCSS: any = this.criticalCSS;
+    if (!context._registeredComponents) {
+      return '';
+    }
+    return (
+      Array.from(context._registeredComponents)
+        .map((id: any) => (typeof criticalCSS === 'function' ? criticalCSS(id) : criticalCSS[id]) || '')
+        .join('')
+        // the CSS must not close the inline <style> element
+        .replace(/<\/(style)/gi, '<\\/$1')
+    );
+  }
+
   renderResourceHints(context: Object): string {
     return this.renderPreloadLinks(context) + this.renderPrefetchLinks(context);
   }
@@ -154,55 +240,82 @@ export default class TemplateRenderer {
     }
   }
 
-  renderPreloadLinks(context: Object): string {
-    const files = this.getPreloadFiles(context);
+  // preload files filtered with shouldPreload
+  getPreloadResources(context: Object): Array<Resource> {
     const shouldPreload = this.options.shouldPreload;
-    if (files.length) {
-      return files
-        .map(({ file, extension, fileWithoutQuery, asType }) => {
-          let extra = '';
-          // by default, we only preload scripts or css
-          if (!shouldPreload && asType !== 'script' && asType !== 'style') {
-            return '';
-          }
-          // user wants to explicitly control what to preload
-          if (shouldPreload && !shouldPreload(fileWithoutQuery, asType)) {
-            return '';
-          }
-          if (asType === 'font') {
-            extra = ` type="font/${extension}" crossorigin`;
-          }
-          return `<link rel="preload" href="${this.publicPath}${file}"${
-            asType !== '' ? ` as="${asType}"` : ''
-          }${extra}>`;
-        })
-        .join('');
-    } else {
-      return '';
-    }
+    return this.getPreloadFiles(context).filter(({ fileWithoutQuery, asType }) => {
+      // by default, we only preload scripts or css
+      if (!shouldPreload) {
+        return asType === 'script' || asType === 'style';
+      }
+      // user wants to explicitly control what to preload
+      return shouldPreload(fileWithoutQuery, asType);
+    });
   }
 
-  renderPrefetchLinks(context: Object): string {
+  // async files filtered with shouldPrefetch, excluding those already preloaded
+  getPrefetchResources(context: Object): Array<Resource> {
     const shouldPrefetch = this.options.shouldPrefetch;
-    if (this.prefetchFiles) {
-      const usedAsyncFiles = this.getUsedAsyncFiles(context);
-      const alreadyRendered = file => {
-        return usedAsyncFiles && usedAsyncFiles.some(f => f.file === file);
-      };
-      return this.prefetchFiles
-        .map(({ file, fileWithoutQuery, asType }) => {
-          if (shouldPrefetch && !shouldPrefetch(fileWithoutQuery, asType)) {
-            return '';
-          }
-          if (alreadyRendered(file)) {
-            return '';
-          }
-          return `<link rel="prefetch" href="${this.publicPath}${file}">`;
-        })
-        .join('');
-    } else {
-      return '';
+    if (!this.prefetchFiles) {
+      return [];
     }
+    const usedAsyncFiles = this.getUsedAsyncFiles(context);
+    const alreadyRendered = file => {
+      return usedAsyncFiles && usedAsyncFiles.some(f => f.file === file);
+    };
+    return this.prefetchFiles.filter(({ file, fileWithoutQuery, asType }) => {
+      if (shouldPrefetch && !shouldPrefetch(fileWithoutQuery, asType)) {
+        return false;
+      }
+      return !alreadyRendered(file);
+    });
+  }
+
+  renderPreloadLinks(context: Object): string {
+    return this.getPreloadResources(context)
+      .map(({ file, extension, asType }) => {
+        let extra = '';
+        if (asType === 'font') {
+          extra = ` type="font/${extension}" crossorigin`;
+        }
+        return `<link rel="preload" href="${this.publicPath}${file}"${
+          asType !== '' ? ` as="${asType}"` : ''
+        }${extra}>`;
+      })
+      .join('');
+  }
+
+  renderPrefetchLinks(context: Object): string {
+    return this.getPrefetchResources(context)
+      .map(({ file }) => `<link rel="prefetch" href="${this.publicPath}${file}">`)
+      .join('');
+  }
+
+  // RFC 8288 Link header values for the same resources as renderResourceHints,
+  // e.g. res.setHeader('Link', context.getPreloadHeaders())
+  getPreloadHeaders(context: Object): Array<string> {
+    const preload = this.getPreloadResources(context).map(({ file, extension, asType }) => {
+      let value = `<${encodeURI(this.publicPath + file)}>; rel=preload`;
+      if (asType !== '') {
+        value += `; as=${asType}`;
+      }
+      if (asType === 'font') {
+        value += `; type="font/${extension}"; crossorigin`;
+      }
+      return value;
+    });
+    const prefetch = this.getPrefetchResources(context).map(
+      ({ file }) => `<${encodeURI(this.publicPath + file)}>; rel=prefetch`,
+    );
+    return preload.concat(prefetch);
+  }
+
+  // headers of a 103 Early Hints response, e.g.
+  // res.writeEarlyHints(context.getEarlyHints()) before the render starts.
+  // Only the initial chunks and the async chunks of the components registered
+  // so far are known at that point.
+  getEarlyHints(context: Object): { link: Array<string> } {
+    return { link: this.getPreloadHeaders(context) };
   }
 
   renderState(context: Object, options?: Object): string {
@@ -234,9 +347,12 @@ export default class TemplateRenderer {
   }
 
   getUsedAsyncFiles(context: Object): ?Array<Resource> {
-    if (!context._mappedFiles && context._registeredComponents && this.mapFiles) {
-      const registered = Array.from(context._registeredComponents);
-      context._mappedFiles = this.mapFiles(registered).map(normalizeFile);
+    // mapped again when more components have been registered since, e.g. when
+    // the early hints were computed before the render
+    const registered = context._registeredComponents;
+    if (registered && this.mapFiles && (!context._mappedFiles || context._mappedSize !== registered.size)) {
+      context._mappedSize = registered.size;
+      context._mappedFiles = this.mapFiles(Array.from(registered)).map(normalizeFile);
     }
     return context._mappedFiles;
   }
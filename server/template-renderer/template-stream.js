@@ -9,7 +9,6 @@ export default class TemplateStream extends Transform {
   renderer: TemplateRenderer;
   template: ParsedTemplate;
   context: Object;
-  inject: boolean;
 
   constructor(renderer: TemplateRenderer, template: ParsedTemplate, context: Object) {
     super();
@@ -17,7 +16,6 @@ export default class TemplateStream extends Transform {
     this.renderer = renderer;
     this.template = template;
     this.context = context || {};
-    this.inject = renderer.inject;
   }
 
   _transform(data: Buffer | string, encoding: string, done: Function) {
@@ -31,48 +29,12 @@ export default class TemplateStream extends Transform {
 
   start() {
     this.started = true;
-    this.push(this.template.head(this.context));
-
-    if (this.inject) {
-      // inline server-rendered head meta information
-      if (this.context.head) {
-        this.push(this.context.head);
-      }
-
-      // inline preload/prefetch directives for initial/async chunks
-      const links = this.renderer.renderResourceHints(this.context);
-      if (links) {
-        this.push(links);
-      }
-
-      // CSS files and inline server-rendered CSS collected by vue-style-loader
-      const styles = this.renderer.renderStyles(this.context);
-      if (styles) {
-        this.push(styles);
-      }
-    }
-
-    this.push(this.template.neck(this.context));
+    this.push(this.renderer.renderStreamHead(this.template, this.context));
   }
 
   _flush(done: Function) {
     this.emit('beforeEnd');
-
-    if (this.inject) {
-      // inline initial store state
-      const state = this.renderer.renderState(this.context);
-      if (state) {
-        this.push(state);
-      }
-
-      // embed scripts needed
-      const scripts = this.renderer.renderScripts(this.context);
-      if (scripts) {
-        this.push(scripts);
-      }
-    }
-
-    this.push(this.template.tail(this.context));
+    this.push(this.renderer.renderStreamTail(this.template, this.context));
     done();
   }
 }
@@ -49,5 +49,7 @@ export function createWriteFunction(
   cachedWrite.caching = false;
   cachedWrite.cacheBuffer = [];
   cachedWrite.componentBuffer = [];
+  cachedWrite.tagBuffer = [];
+  cachedWrite.holeBuffer = [];
   return cachedWrite;
 }
@@ -1,5 +1,14 @@
 export const SSR_ATTR = 'data-server-rendered';
 
+// => 片段（多根节点）的起止锚点注释 <!--[--> ... <!--]-->
+export const FRAGMENT_START = '[';
+export const FRAGMENT_END = ']';
+
+// => 传送门的锚点注释：原位置为 <!--teleport start--><!--teleport end-->，目标容器中的内容以 <!--teleport anchor--> 结尾
+export const TELEPORT_START = 'teleport start';
+export const TELEPORT_END = 'teleport end';
+export const TELEPORT_ANCHOR = 'teleport anchor';
+
 export const ASSET_TYPES = ['component', 'directive', 'filter'];
 
 export const LIFECYCLE_HOOKS = [
@@ -15,4 +24,6 @@ export const LIFECYCLE_HOOKS = [
   'deactivated',
   'errorCaptured',
   'serverPrefetch',
+  'renderTracked', // => 仅开发环境
+  'renderTriggered', // => 仅开发环境
 ];